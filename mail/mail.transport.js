@@ -0,0 +1,66 @@
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+require("dotenv").config();
+
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || "outbox";
+const MAIL_OUTBOX_DIR =
+  process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "..", "outbox");
+const MAIL_FROM =
+  process.env.MAIL_FROM || "Workasana <no-reply@workasana.local>";
+
+// Write every message as a JSON file into a local outbox directory
+function createOutboxTransport(dir = MAIL_OUTBOX_DIR) {
+  return {
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+
+      const fileName = `${Date.now()}-${crypto
+        .randomBytes(4)
+        .toString("hex")}.json`;
+      await fs.writeFile(
+        path.join(dir, fileName),
+        JSON.stringify(message, null, 2)
+      );
+    },
+  };
+}
+
+// Print every message to the console
+function createConsoleTransport() {
+  return {
+    async send(message) {
+      console.log("Mail sent:", JSON.stringify(message, null, 2));
+    },
+  };
+}
+
+let transport =
+  MAIL_TRANSPORT === "console"
+    ? createConsoleTransport()
+    : createOutboxTransport();
+
+// Replace the transport, e.g. with an SMTP client. It needs a send(message) method
+function setMailTransport(newTransport) {
+  transport = newTransport;
+}
+
+async function sendMail({ to, subject, text }) {
+  const message = {
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    date: new Date().toISOString(),
+  };
+
+  await transport.send(message);
+  return message;
+}
+
+module.exports = {
+  sendMail,
+  setMailTransport,
+  createOutboxTransport,
+  createConsoleTransport,
+};
\ No newline at end of file
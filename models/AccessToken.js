@@ -0,0 +1,56 @@
+// models/AccessToken.js
+const mongoose = require("mongoose");
+
+const accessTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "pg78User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Token name is required"],
+      trim: true,
+      maxlength: [50, "Token name cannot exceed 50 characters"],
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false, // The token itself is only shown once on creation
+    },
+    prefix: {
+      type: String,
+      required: true,
+    },
+    scopes: {
+      type: [
+        {
+          type: String,
+          enum: ["read", "tasks:write", "reports"],
+        },
+      ],
+      validate: [
+        (scopes) => scopes.length > 0,
+        "At least one scope is required",
+      ],
+    },
+    expiresAt: {
+      type: Date,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    revokedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+accessTokenSchema.index({ user: 1, revokedAt: 1 });
+
+module.exports = mongoose.model("pg78AccessToken", accessTokenSchema);
\ No newline at end of file
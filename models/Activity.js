@@ -0,0 +1,52 @@
+// models/Activity.js
+const mongoose = require("mongoose");
+
+const activitySchema = new mongoose.Schema(
+  {
+    entityType: {
+      type: String,
+      enum: ["task", "project", "team"],
+      required: true,
+    },
+    entity: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: ["created", "updated", "status_changed", "deleted"],
+      required: true,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "pg78User",
+    },
+    changes: [
+      {
+        _id: false,
+        field: { type: String, required: true },
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    // Kept on every entry so feeds can be filtered by project or team
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "pg78Project",
+    },
+    team: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "pg78Team",
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+activitySchema.index({ entityType: 1, entity: 1, createdAt: -1 });
+activitySchema.index({ project: 1, createdAt: -1 });
+activitySchema.index({ team: 1, createdAt: -1 });
+activitySchema.index({ actor: 1, createdAt: -1 });
+
+module.exports = mongoose.model("pg78Activity", activitySchema);
\ No newline at end of file
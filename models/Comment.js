@@ -0,0 +1,39 @@
+// models/Comment.js
+const mongoose = require("mongoose");
+
+const commentSchema = new mongoose.Schema(
+  {
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "pg78Task",
+      required: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "pg78User",
+      required: true,
+    },
+    body: {
+      type: String,
+      required: [true, "Comment cannot be empty"],
+      trim: true,
+      maxlength: [2000, "Comment cannot exceed 2000 characters"],
+    },
+    editedAt: {
+      type: Date,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+commentSchema.index({ task: 1, isActive: 1, createdAt: 1 });
+// Full-text search
+commentSchema.index({ body: "text" });
+
+module.exports = mongoose.model("pg78Comment", commentSchema);
\ No newline at end of file
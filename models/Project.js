@@ -1,6 +1,54 @@
 // models/Project.js
 const mongoose = require("mongoose");
 
+// Used by projects that don't define their own workflow
+const DEFAULT_WORKFLOW = {
+  statuses: [
+    { name: "To Do" },
+    { name: "In Progress" },
+    { name: "Completed" },
+    { name: "Blocked" },
+  ],
+  transitions: [],
+  doneStatuses: ["Completed"],
+  blockedStatus: "Blocked",
+};
+
+// Ordered task statuses of a project. New tasks start in the first status and
+// an empty transitions list allows moving between any two statuses.
+const workflowSchema = new mongoose.Schema(
+  {
+    statuses: [
+      {
+        _id: false,
+        name: {
+          type: String,
+          required: [true, "Status name is required"],
+          trim: true,
+          maxlength: [30, "Status name cannot exceed 30 characters"],
+        },
+        // Most open tasks the status may hold on the board
+        wipLimit: {
+          type: Number,
+          min: [1, "WIP limit must be at least 1"],
+        },
+      },
+    ],
+    transitions: [
+      {
+        _id: false,
+        from: { type: String, required: true },
+        to: { type: String, required: true },
+      },
+    ],
+    doneStatuses: [String],
+    blockedStatus: {
+      type: String,
+    },
+  },
+  { _id: false }
+);
+
 const projectSchema = new mongoose.Schema(
   {
     name: {
@@ -30,6 +78,15 @@ const projectSchema = new mongoose.Schema(
     },
     endDate: {
       type: Date,
+      validate: {
+        validator: function (value) {
+          return !value || !this.startDate || value >= this.startDate;
+        },
+        message: "End date cannot be before the start date",
+      },
+    },
+    workflow: {
+      type: workflowSchema,
     },
     isActive: {
       type: Boolean,
@@ -41,4 +98,26 @@ const projectSchema = new mongoose.Schema(
   }
 );
 
-module.exports = mongoose.model("pg78Project", projectSchema);
+projectSchema.statics.DEFAULT_WORKFLOW = DEFAULT_WORKFLOW;
+
+// Workflow of the project, falling back to the default one
+projectSchema.methods.getWorkflow = function () {
+  return this.workflow && this.workflow.statuses.length > 0
+    ? this.workflow.toObject()
+    : DEFAULT_WORKFLOW;
+};
+
+// Workflow of a project by ID
+projectSchema.statics.getWorkflowFor = async function (projectId) {
+  const project =
+    projectId && (await this.findById(projectId).select("workflow"));
+  return project ? project.getWorkflow() : DEFAULT_WORKFLOW;
+};
+
+// Full-text search, matches in the name rank higher
+projectSchema.index(
+  { name: "text", description: "text" },
+  { weights: { name: 5, description: 1 } }
+);
+
+module.exports = mongoose.model("pg78Project", projectSchema);
\ No newline at end of file
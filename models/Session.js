@@ -0,0 +1,62 @@
+// models/Session.js
+const mongoose = require("mongoose");
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "pg78User",
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      select: false, // Hash of the only refresh token that may still be used
+    },
+    // Token replaced by the last rotation, accepted for a short while so
+    // tabs refreshing at the same time don't look like a replay
+    previousTokenHash: {
+      type: String,
+      select: false,
+    },
+    rotatedAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+    },
+    ip: {
+      type: String,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "logout-all",
+        "revoked",
+        "reuse-detected",
+        "deactivated",
+        "password-changed",
+      ],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Remove sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("pg78Session", sessionSchema);
\ No newline at end of file
@@ -1,5 +1,44 @@
 // models/Task.js
 const mongoose = require("mongoose");
+const Project = require("./Project.js");
+
+// How often a recurring task repeats
+const recurrenceSchema = new mongoose.Schema(
+  {
+    frequency: {
+      type: String,
+      enum: ["daily", "weekly", "monthly", "interval"],
+      required: true,
+    },
+    // Number of days between occurrences for the "interval" frequency
+    interval: {
+      type: Number,
+      min: [1, "Interval must be at least 1 day"],
+    },
+    // Days of the week for the "weekly" frequency, 0 is Sunday
+    weekdays: [
+      {
+        type: Number,
+        min: 0,
+        max: 6,
+      },
+    ],
+    // Day of the month for the "monthly" frequency
+    dayOfMonth: {
+      type: Number,
+      min: 1,
+      max: 31,
+    },
+    endDate: {
+      type: Date,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { _id: false }
+);
 
 const taskSchema = new mongoose.Schema(
   {
@@ -42,10 +81,10 @@ const taskSchema = new mongoose.Schema(
       required: [true, "Time to complete is required"],
       min: [0.1, "Time to complete must be at least 0.1 days"],
     },
+    // One of the statuses of the project's workflow
     status: {
       type: String,
-      enum: ["To Do", "In Progress", "Completed", "Blocked"],
-      default: "To Do",
+      required: true,
     },
     priority: {
       type: String,
@@ -58,6 +97,57 @@ const taskSchema = new mongoose.Schema(
     completedAt: {
       type: Date,
     },
+    // Subtasks point to a parent task in the same project
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "pg78Task",
+    },
+    // Tasks that have to be completed before this one can move on
+    blockedBy: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "pg78Task",
+      },
+    ],
+    // Status an automatically blocked task returns to once its blockers are
+    // done, unset for tasks that were blocked by hand
+    statusBeforeBlocked: {
+      type: String,
+    },
+    checklist: [
+      {
+        text: {
+          type: String,
+          required: [true, "Checklist item text is required"],
+          trim: true,
+          maxlength: [200, "Checklist item cannot exceed 200 characters"],
+        },
+        done: {
+          type: Boolean,
+          default: false,
+        },
+        doneAt: {
+          type: Date,
+        },
+      },
+    ],
+    // Position on the project's board, tasks sort by rank within a column
+    rank: {
+      type: String,
+    },
+    recurrence: {
+      type: recurrenceSchema,
+    },
+    // First occurrence of the series this task belongs to
+    series: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "pg78Task",
+    },
+    // Set once the occurrence after this one has been created
+    nextOccurrence: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "pg78Task",
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "pg78User",
@@ -73,21 +163,49 @@ const taskSchema = new mongoose.Schema(
   }
 );
 
-// Update completedAt when status changes to Completed
-taskSchema.pre("save", function (next) {
-  if (this.isModified("status")) {
-    if (this.status === "Completed" && !this.completedAt) {
-      this.completedAt = new Date();
-    } else if (this.status !== "Completed") {
-      this.completedAt = undefined;
-    }
+// Check the status against the project's workflow and update completedAt
+// when the task enters or leaves one of its done statuses
+taskSchema.pre("validate", async function () {
+  if (
+    !this.isNew &&
+    !this.isModified("status") &&
+    !this.isModified("project")
+  ) {
+    return;
+  }
+
+  const workflow = await Project.getWorkflowFor(this.project);
+
+  if (!this.status) this.status = workflow.statuses[0].name;
+
+  if (!workflow.statuses.some((status) => status.name === this.status)) {
+    this.invalidate(
+      "status",
+      `"${this.status}" is not a status of this project's workflow`
+    );
+    return;
+  }
+
+  if (workflow.doneStatuses.includes(this.status)) {
+    if (!this.completedAt) this.completedAt = new Date();
+  } else {
+    this.completedAt = undefined;
   }
-  next();
 });
 
 // Index for better query performance
 taskSchema.index({ project: 1, team: 1, status: 1 });
 taskSchema.index({ owners: 1, status: 1 });
 taskSchema.index({ tags: 1 });
+taskSchema.index({ parent: 1 });
+taskSchema.index({ blockedBy: 1 });
+taskSchema.index({ series: 1 });
+taskSchema.index({ project: 1, rank: 1 });
+taskSchema.index({ "recurrence.isActive": 1, nextOccurrence: 1, dueDate: 1 });
+// Full-text search, matches in the name rank higher
+taskSchema.index(
+  { name: "text", description: "text" },
+  { weights: { name: 5, description: 1 } }
+);
 
-module.exports = mongoose.model("pg78Task", taskSchema);
+module.exports = mongoose.model("pg78Task", taskSchema);
\ No newline at end of file
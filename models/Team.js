@@ -21,6 +21,13 @@ const teamSchema = new mongoose.Schema(
         ref: "pg78User",
       },
     ],
+    // Leads are members who can manage the team
+    leads: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "pg78User",
+      },
+    ],
     isActive: {
       type: Boolean,
       default: true,
@@ -31,4 +38,10 @@ const teamSchema = new mongoose.Schema(
   }
 );
 
-module.exports = mongoose.model("pg78Team", teamSchema);
+// Full-text search, matches in the name rank higher
+teamSchema.index(
+  { name: "text", description: "text" },
+  { weights: { name: 5, description: 1 } }
+);
+
+module.exports = mongoose.model("pg78Team", teamSchema);
\ No newline at end of file
@@ -0,0 +1,60 @@
+// models/TimeLog.js
+const mongoose = require("mongoose");
+
+// Time a user spent on a task. Entries with a startedAt but no duration yet
+// are running timers.
+const timeLogSchema = new mongoose.Schema(
+  {
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "pg78Task",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "pg78User",
+      required: true,
+    },
+    // Copied from the task so reports don't need to look it up
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "pg78Project",
+    },
+    team: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "pg78Team",
+    },
+    // Minutes spent
+    duration: {
+      type: Number,
+      min: [1, "Duration must be at least 1 minute"],
+      max: [24 * 60, "Duration cannot exceed 24 hours"],
+    },
+    // Day the work was done
+    date: {
+      type: Date,
+      required: true,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Note cannot exceed 500 characters"],
+    },
+    startedAt: {
+      type: Date,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+timeLogSchema.index({ task: 1, isActive: 1, date: -1 });
+timeLogSchema.index({ user: 1, date: 1 });
+timeLogSchema.index({ team: 1, date: 1 });
+
+module.exports = mongoose.model("pg78TimeLog", timeLogSchema);
\ No newline at end of file
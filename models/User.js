@@ -31,6 +31,16 @@ const userSchema = new mongoose.Schema(
       minlength: [6, "Password must be at least 6 characters"],
       select: false, // Don't include password in queries by default
     },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
+    passwordChangedAt: {
+      type: Date,
+    },
     role: {
       type: String,
       enum: ["user", "admin"],
@@ -46,4 +56,10 @@ const userSchema = new mongoose.Schema(
   }
 );
 
-module.exports = mongoose.model("pg78User", userSchema);
+// Full-text search across name, username and email
+userSchema.index(
+  { name: "text", username: "text", email: "text" },
+  { weights: { name: 5, username: 5, email: 1 } }
+);
+
+module.exports = mongoose.model("pg78User", userSchema);
\ No newline at end of file
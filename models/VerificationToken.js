@@ -0,0 +1,41 @@
+// models/VerificationToken.js
+const mongoose = require("mongoose");
+
+const verificationTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "pg78User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["password-reset", "email-verification"],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+verificationTokenSchema.index({ user: 1, type: 1 });
+// Remove tokens once they have expired
+verificationTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model(
+  "pg78VerificationToken",
+  verificationTokenSchema
+);
\ No newline at end of file
@@ -0,0 +1,42 @@
+// models/View.js
+const mongoose = require("mongoose");
+
+// A saved task list query. Filters use the query parameters of GET /api/tasks
+// and may contain relative tokens like "me" and "today".
+const viewSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "View name is required"],
+      trim: true,
+      maxlength: [50, "View name cannot exceed 50 characters"],
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "pg78User",
+      required: true,
+    },
+    // Members of this team can use the view too
+    team: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "pg78Team",
+    },
+    filters: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    sort: {
+      type: String,
+      default: "-createdAt",
+    },
+  },
+  {
+    timestamps: true,
+    minimize: false,
+  }
+);
+
+viewSchema.index({ owner: 1 });
+viewSchema.index({ team: 1 });
+
+module.exports = mongoose.model("pg78View", viewSchema);
\ No newline at end of file
@@ -0,0 +1,35 @@
+// scripts/backfill-completed-at.js
+// One-off migration: tasks completed before completedAt was kept in sync
+// never got one, and reports rely on it to tell done tasks apart. Safe to run
+// again, it only touches tasks that are still missing the date.
+// Like other data migrations it writes no activity entries.
+const mongoose = require("mongoose");
+const { connectToDB } = require("../db/db.connect");
+const Project = require("../models/Project.js");
+const Task = require("../models/Task.js");
+
+async function backfillCompletedAt() {
+  // Projects with their own workflow set completedAt from their done statuses
+  const customWorkflowProjects = await Project.find({
+    "workflow.statuses.0": { $exists: true },
+  }).distinct("_id");
+
+  const result = await Task.updateMany(
+    {
+      status: { $in: Project.DEFAULT_WORKFLOW.doneStatuses },
+      completedAt: null,
+      project: { $nin: customWorkflowProjects },
+    },
+    [{ $set: { completedAt: "$updatedAt" } }]
+  );
+
+  console.log(`Backfilled completedAt of ${result.modifiedCount} tasks`);
+}
+
+connectToDB()
+  .then(backfillCompletedAt)
+  .catch((error) => {
+    console.error("Error backfilling completedAt:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
\ No newline at end of file
@@ -1,12 +1,16 @@
 // Dependencies
 const express = require("express");
+const mongoose = require("mongoose");
 const cors = require("cors");
 const cookieParser = require("cookie-parser");
 const bcrypt = require("bcrypt");
 const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
 require("dotenv").config();
 const { body, validationResult } = require("express-validator");
-const moment = require("moment");
+const moment = require("moment-timezone");
+const rateLimit = require("express-rate-limit");
+const ExcelJS = require("exceljs");
 
 // Models
 const { connectToDB } = require("./db/db.connect");
@@ -15,6 +19,14 @@ const Task = require("./models/Task.js");
 const Tag = require("./models/Tag.js");
 const Project = require("./models/Project.js");
 const Team = require("./models/Team.js");
+const Session = require("./models/Session.js");
+const VerificationToken = require("./models/VerificationToken.js");
+const AccessToken = require("./models/AccessToken.js");
+const Comment = require("./models/Comment.js");
+const Activity = require("./models/Activity.js");
+const View = require("./models/View.js");
+const TimeLog = require("./models/TimeLog.js");
+const { sendMail } = require("./mail/mail.transport.js");
 
 // App setup
 const app = express();
@@ -35,13 +47,39 @@ app.use(
 );
 app.use(cookieParser());
 
-connectToDB();
-
 const JWT_SECRET = process.env.JWT_SECRET;
 const REFRESH_TOKEN_SECRET = process.env.REFRESH_TOKEN_SECRET;
+const REFRESH_TOKEN_TTL = 7 * 24 * 60 * 60 * 1000;
+const REFRESH_COOKIE_PATH = "/api/auth";
+const REFRESH_REUSE_GRACE = 30 * 1000;
+const APP_URL = process.env.APP_URL || "http://localhost:5173";
+const PASSWORD_RESET_TTL = 60 * 60 * 1000;
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000;
+const RECURRENCE_CHECK_INTERVAL = 60 * 60 * 1000;
+// Most missed occurrences a series catches up on per check, the rest follow
+// in the next checks
+const RECURRENCE_CATCH_UP_LIMIT = 50;
+// Only one instance should create scheduled occurrences, the others set
+// RECURRENCE_SCHEDULER=off
+const RECURRENCE_SCHEDULER = process.env.RECURRENCE_SCHEDULER !== "off";
+// Estimates (timeToComplete) are in days of this many minutes of work
+const WORKDAY_MINUTES = 8 * 60;
+
+// Limit how often emails can be requested
+const emailLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 5,
+  message: { message: "Too many requests, please try again later" },
+});
 
 // Auth middleware
-function verifyToken(req, res, next) {
+async function verifyToken(req, res, next) {
+  // Scripts authenticate with a personal access token instead of cookies
+  const authHeader = req.get("authorization");
+  if (authHeader && authHeader.startsWith("Bearer ")) {
+    return verifyPersonalAccessToken(req, res, next, authHeader.slice(7));
+  }
+
   const accessToken = req.cookies.access_token;
 
   if (!accessToken) {
@@ -50,32 +88,379 @@ function verifyToken(req, res, next) {
       .json({ message: "You need to sign in before continuing" });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(accessToken, JWT_SECRET);
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(accessToken, JWT_SECRET);
   } catch (error) {
     return res
       .status(403)
       .json({ message: "Invalid token", error: error.message });
   }
+
+  try {
+    // Load the role from the database so role changes apply immediately
+    const user = await User.findById(decoded.id).select(
+      "username role isActive passwordChangedAt"
+    );
+
+    if (!user || !user.isActive) {
+      if (user) await revokeUserSessions(user._id, "deactivated");
+      return res
+        .status(403)
+        .json({ message: "Your account is inactive or no longer exists" });
+    }
+
+    // Access tokens die with the session they were issued for. Tokens
+    // issued before sessions existed have none and are accepted until they
+    // expire, unless the password changed since.
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+    const ended = decoded.sid
+      ? !session || session.revokedAt || !session.user.equals(user._id)
+      : user.passwordChangedAt &&
+        decoded.iat * 1000 < user.passwordChangedAt.getTime();
+    if (ended) {
+      return res
+        .status(403)
+        .json({ message: "Your session has ended, please sign in again" });
+    }
+
+    req.user = {
+      id: user._id.toString(),
+      username: user.username,
+      role: user.role,
+      sessionId: session ? session._id.toString() : undefined,
+    };
+    next();
+  } catch (error) {
+    return res
+      .status(500)
+      .json({ message: "Internal server error", error: error.message });
+  }
+}
+
+// Scope a personal access token needs for a request, null if never allowed.
+// Scopes don't imply each other, e.g. "tasks:write" doesn't grant "read".
+function getRequiredScope(req) {
+  const path = req.baseUrl + req.path;
+  const isRead = req.method === "GET" || req.method === "HEAD";
+
+  // Account management needs a real sign-in
+  if (path.startsWith("/api/auth/")) {
+    return path === "/api/auth/user" && isRead ? "read" : null;
+  }
+  if (path.startsWith("/api/reports")) return "reports";
+  if (isRead) return "read";
+  if (path.startsWith("/api/tasks")) return "tasks:write";
+
+  return null;
+}
+
+// Auth middleware for personal access tokens
+async function verifyPersonalAccessToken(req, res, next, token) {
+  try {
+    const accessToken = await AccessToken.findOne({
+      tokenHash: hashToken(token.trim()),
+      revokedAt: null,
+    }).populate("user", "username role isActive");
+
+    if (
+      !accessToken ||
+      (accessToken.expiresAt && accessToken.expiresAt <= new Date())
+    ) {
+      return res
+        .status(403)
+        .json({ message: "Invalid or expired access token" });
+    }
+
+    const user = accessToken.user;
+    if (!user || !user.isActive) {
+      return res
+        .status(403)
+        .json({ message: "Your account is inactive or no longer exists" });
+    }
+
+    const requiredScope = getRequiredScope(req);
+    if (!requiredScope) {
+      return res
+        .status(403)
+        .json({ message: "Access tokens cannot be used for this route" });
+    }
+
+    if (!accessToken.scopes.includes(requiredScope)) {
+      return res.status(403).json({
+        message: `This access token is missing the "${requiredScope}" scope`,
+      });
+    }
+
+    await AccessToken.updateOne(
+      { _id: accessToken._id },
+      { lastUsedAt: new Date() }
+    );
+
+    req.user = {
+      id: user._id.toString(),
+      username: user.username,
+      role: user.role,
+      accessTokenId: accessToken._id.toString(),
+      scopes: accessToken.scopes,
+    };
+    next();
+  } catch (error) {
+    return res
+      .status(500)
+      .json({ message: "Internal server error", error: error.message });
+  }
+}
+
+// AUTHORIZATION HELPERS
+
+// Admin-only middleware
+function requireAdmin(req, res, next) {
+  if (req.user.role !== "admin") {
+    return res.status(403).json({
+      success: false,
+      message: "Only admins can perform this action",
+    });
+  }
+  next();
+}
+
+// Get the ID of a reference whether or not it is populated
+function idOf(ref) {
+  if (!ref) return null;
+  return (ref._id || ref).toString();
+}
+
+// Team IDs the current user belongs to (null means unrestricted for admins)
+async function getAccessibleTeamIds(req) {
+  if (req.user.role === "admin") return null;
+
+  if (!req.teamIds) {
+    const teams = await Team.find({
+      members: req.user.id,
+      isActive: true,
+    }).select("_id");
+    req.teamIds = teams.map((team) => team._id.toString());
+  }
+
+  return req.teamIds;
+}
+
+// Check whether the current user may access records of a team
+async function canAccessTeam(req, team) {
+  const teamIds = await getAccessibleTeamIds(req);
+  if (teamIds === null) return true;
+
+  const teamId = idOf(team);
+  return !!teamId && teamIds.includes(teamId);
+}
+
+// Projects without a team are only visible to admins
+async function canAccessProject(req, project) {
+  if (req.user.role === "admin") return true;
+  return !!project.team && canAccessTeam(req, project.team);
+}
+
+// Query filter limiting results to the current user's teams.
+// IDs are cast so the filter also works in aggregation pipelines.
+async function teamScope(req, field = "team") {
+  const teamIds = await getAccessibleTeamIds(req);
+  if (teamIds === null) return {};
+
+  return {
+    [field]: { $in: teamIds.map((id) => new mongoose.Types.ObjectId(id)) },
+  };
+}
+
+// Tasks are done once they reach a done status of their project's workflow,
+// which the Task model records in completedAt
+const OPEN_TASK_FILTER = { completedAt: null };
+const DONE_TASK_FILTER = { completedAt: { $ne: null } };
+
+// Load an active task the current user may access, or send an error response
+async function findAccessibleTask(req, res, taskId) {
+  const task =
+    mongoose.isValidObjectId(taskId) && (await Task.findById(taskId));
+
+  if (!task || !task.isActive) {
+    res.status(404).json({
+      success: false,
+      message: "Task not found",
+    });
+    return null;
+  }
+
+  if (!(await canAccessTeam(req, task.team))) {
+    res.status(403).json({
+      success: false,
+      message: "You don't have access to this task",
+    });
+    return null;
+  }
+
+  return task;
+}
+
+// Load an active project the current user may access, or send an error response
+async function findAccessibleProject(req, res, projectId) {
+  const project =
+    mongoose.isValidObjectId(projectId) && (await Project.findById(projectId));
+
+  if (!project || !project.isActive) {
+    res.status(404).json({
+      success: false,
+      message: "Project not found",
+    });
+    return null;
+  }
+
+  if (!(await canAccessProject(req, project))) {
+    res.status(403).json({
+      success: false,
+      message: "You don't have access to this project",
+    });
+    return null;
+  }
+
+  return project;
 }
 
 // Generate JWT tokens
-function generateTokens(user) {
+function generateTokens(user, sessionId) {
   const payload = {
     id: user._id,
     username: user.username || user.email,
+    sid: sessionId,
   };
 
   const accessToken = jwt.sign(payload, JWT_SECRET, { expiresIn: "15m" });
-  const refreshToken = jwt.sign({ id: user._id }, REFRESH_TOKEN_SECRET, {
-    expiresIn: "7d",
-  });
+  const refreshToken = jwt.sign(
+    { id: user._id, sid: sessionId },
+    REFRESH_TOKEN_SECRET,
+    {
+      expiresIn: "7d",
+      jwtid: crypto.randomUUID(),
+    }
+  );
 
   return { accessToken, refreshToken };
 }
 
+// Hash tokens before storing them
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// Rotate the refresh token of a session and send the new cookies
+async function issueSessionTokens(res, user, session) {
+  const { accessToken, refreshToken } = generateTokens(user, session._id);
+
+  session.previousTokenHash = session.tokenHash;
+  session.rotatedAt = new Date();
+  session.tokenHash = hashToken(refreshToken);
+  session.lastUsedAt = new Date();
+  session.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL);
+  await session.save();
+
+  setAuthCookies(res, accessToken, refreshToken);
+}
+
+// Start a new session after the user signed in
+async function startSession(req, res, user) {
+  const session = new Session({
+    user: user._id,
+    userAgent: req.get("user-agent"),
+    ip: req.ip,
+  });
+
+  await issueSessionTokens(res, user, session);
+  return session;
+}
+
+// Revoke all active sessions of a user, optionally keeping one
+async function revokeUserSessions(userId, reason, exceptSessionId) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  await Session.updateMany(filter, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+  });
+}
+
+// Revoke all personal access tokens of a user
+async function revokeUserAccessTokens(userId) {
+  await AccessToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+}
+
+// Find the session of the request, even if the access token has expired
+function getSessionIdFromCookies(req) {
+  const { refresh_token: refreshToken, access_token: accessToken } =
+    req.cookies;
+
+  try {
+    if (refreshToken) {
+      return jwt.verify(refreshToken, REFRESH_TOKEN_SECRET).sid;
+    }
+    if (accessToken) {
+      return jwt.verify(accessToken, JWT_SECRET, { ignoreExpiration: true })
+        .sid;
+    }
+  } catch (error) {
+    return null;
+  }
+
+  return null;
+}
+
+// Create a single-use token for a link sent by email
+async function createVerificationToken(user, type, ttl) {
+  // Only the most recent link of each type stays valid
+  await VerificationToken.deleteMany({ user: user._id, type, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString("hex");
+  await VerificationToken.create({
+    user: user._id,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttl),
+  });
+
+  return token;
+}
+
+// Mark a token as used, returning it only if it was still valid
+async function consumeVerificationToken(token, type) {
+  return VerificationToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+}
+
+// Send the email verification link
+async function sendVerificationEmail(user) {
+  const token = await createVerificationToken(
+    user,
+    "email-verification",
+    EMAIL_VERIFICATION_TTL
+  );
+
+  await sendMail({
+    to: user.email,
+    subject: "Verify your Workasana email address",
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n${APP_URL}/verify-email?token=${token}\n\nThe link expires in 24 hours.`,
+  });
+}
+
 // Set auth cookies
 function setAuthCookies(res, accessToken, refreshToken) {
   res.cookie("access_token", accessToken, {
@@ -89,8 +474,8 @@ function setAuthCookies(res, accessToken, refreshToken) {
     httpOnly: true,
     secure: true,
     sameSite: "none",
-    path: "/api/auth/refresh-token",
-    maxAge: 7 * 24 * 60 * 60 * 1000,
+    path: REFRESH_COOKIE_PATH,
+    maxAge: REFRESH_TOKEN_TTL,
   });
 }
 
@@ -103,6 +488,15 @@ function clearAuthCookies(res) {
     maxAge: 0,
   });
 
+  res.cookie("refresh_token", "", {
+    httpOnly: true,
+    secure: true,
+    sameSite: "none",
+    path: REFRESH_COOKIE_PATH,
+    maxAge: 0,
+  });
+
+  // Refresh cookies used to be scoped to the refresh route only
   res.cookie("refresh_token", "", {
     httpOnly: true,
     secure: true,
@@ -164,14 +558,21 @@ app.post("/api/auth/register", async (req, res) => {
 
     await newUser.save();
 
-    const { accessToken, refreshToken } = generateTokens(newUser);
-    setAuthCookies(res, accessToken, refreshToken);
+    await startSession(req, res, newUser);
+
+    // Registration still succeeds if the email can't be sent
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (error) {
+      console.error("Error sending verification email:", error);
+    }
 
     const userResponse = {
       _id: newUser._id,
       username: newUser.username,
       name: newUser.name,
       email: newUser.email,
+      emailVerified: newUser.emailVerified,
     };
 
     res
@@ -208,14 +609,20 @@ app.post("/api/auth/login", async (req, res) => {
       return res.status(401).json({ message: "Invalid credentials" });
     }
 
-    const { accessToken, refreshToken } = generateTokens(user);
-    setAuthCookies(res, accessToken, refreshToken);
+    if (!user.isActive) {
+      return res
+        .status(403)
+        .json({ message: "Your account has been deactivated" });
+    }
+
+    await startSession(req, res, user);
 
     const userResponse = {
       _id: user._id,
       username: user.username,
       name: user.name,
       email: user.email,
+      emailVerified: user.emailVerified,
     };
 
     res
@@ -229,11 +636,38 @@ app.post("/api/auth/login", async (req, res) => {
 });
 
 // Logout user
-app.post("/api/auth/logout", (req, res) => {
+app.post("/api/auth/logout", async (req, res) => {
+  try {
+    const sessionId = getSessionIdFromCookies(req);
+
+    if (sessionId) {
+      await Session.updateOne(
+        { _id: sessionId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: "logout" }
+      );
+    }
+  } catch (error) {
+    console.error("Error revoking session:", error);
+  }
+
   clearAuthCookies(res);
   res.status(200).json({ message: "Logged out successfully" });
 });
 
+// Logout from every device
+app.post("/api/auth/logout-all", verifyToken, async (req, res) => {
+  try {
+    await revokeUserSessions(req.user.id, "logout-all");
+
+    clearAuthCookies(res);
+    res.status(200).json({ message: "Logged out from all devices" });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error logging out", error: error.message });
+  }
+});
+
 // Refresh token
 app.post("/api/auth/refresh-token", async (req, res) => {
   const refreshToken = req.cookies.refresh_token;
@@ -242,678 +676,7069 @@ app.post("/api/auth/refresh-token", async (req, res) => {
     return res.status(401).json({ message: "No refresh token provided" });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(refreshToken, REFRESH_TOKEN_SECRET);
-
-    const user = await User.findById(decoded.id);
-    if (!user) {
-      return res.status(401).json({ message: "User not found" });
-    }
-
-    const tokens = generateTokens(user);
-    setAuthCookies(res, tokens.accessToken, tokens.refreshToken);
-
-    res.status(200).json({ message: "Token refreshed successfully" });
+    decoded = jwt.verify(refreshToken, REFRESH_TOKEN_SECRET);
   } catch (error) {
-    res
-      .status(500)
+    clearAuthCookies(res);
+    return res
+      .status(401)
       .json({ message: "Invalid refresh token", error: error.message });
   }
-});
 
-// Get current user
-app.get("/api/auth/user", verifyToken, async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).select("-password -__v");
+    const session =
+      decoded.sid &&
+      (await Session.findById(decoded.sid).select(
+        "+tokenHash +previousTokenHash"
+      ));
 
-    if (!user) {
-      return res.status(404).json({ message: "User not found" });
+    if (!session || session.revokedAt) {
+      clearAuthCookies(res);
+      return res.status(401).json({ message: "Session has been revoked" });
     }
 
-    res.status(200).json(user);
+    // Another tab may have rotated the token a moment ago
+    const tokenHash = hashToken(refreshToken);
+    const justRotated =
+      session.previousTokenHash === tokenHash &&
+      Date.now() - session.rotatedAt < REFRESH_REUSE_GRACE;
+
+    // A rotated-out token was replayed, so assume the family is compromised
+    if (session.tokenHash !== tokenHash && !justRotated) {
+      session.revokedAt = new Date();
+      session.revokedReason = "reuse-detected";
+      await session.save();
+
+      clearAuthCookies(res);
+      return res.status(401).json({
+        message: "Refresh token reuse detected, please sign in again",
+      });
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user || !user.isActive) {
+      await revokeUserSessions(decoded.id, "deactivated");
+      clearAuthCookies(res);
+      return res.status(401).json({ message: "User not found or inactive" });
+    }
+
+    await issueSessionTokens(res, user, session);
+
+    res.status(200).json({ message: "Token refreshed successfully" });
   } catch (error) {
     res
       .status(500)
-      .json({ message: "Internal server error", error: error.message });
+      .json({ message: "Error refreshing token", error: error.message });
   }
 });
 
-// USER ROUTES
-
-// Get users with search
-app.get("/api/users", verifyToken, async (req, res) => {
+// List active sessions of the current user
+app.get("/api/auth/sessions", verifyToken, async (req, res) => {
   try {
-    const { search, limit = 50 } = req.query;
-
-    const filter = { isActive: true };
-
-    // Search across name, email, username
-    if (search) {
-      filter.$or = [
-        { name: { $regex: search, $options: "i" } },
-        { email: { $regex: search, $options: "i" } },
-        { username: { $regex: search, $options: "i" } },
-      ];
-    }
-
-    const users = await User.find(filter)
-      .select("-password -__v")
-      .limit(parseInt(limit))
-      .sort("name");
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select("-__v")
+      .sort("-lastUsedAt");
 
     res.json({
       success: true,
-      count: users.length,
-      data: users,
+      count: sessions.length,
+      data: sessions.map((session) => ({
+        ...session.toObject(),
+        current: session._id.toString() === req.user.sessionId,
+      })),
     });
   } catch (error) {
-    console.error("Error fetching users:", error);
     res.status(500).json({
       success: false,
-      message: "Error fetching users",
+      message: "Error fetching sessions",
     });
   }
 });
 
-// Get single user
-app.get("/api/users/:id", verifyToken, async (req, res) => {
+// Revoke one of the current user's sessions
+app.delete("/api/auth/sessions/:id", verifyToken, async (req, res) => {
   try {
-    const user = await User.findById(req.params.id).select("-password -__v");
+    const session =
+      mongoose.isValidObjectId(req.params.id) &&
+      (await Session.findOne({
+        _id: req.params.id,
+        user: req.user.id,
+        revokedAt: null,
+      }));
 
-    if (!user || !user.isActive) {
+    if (!session) {
       return res.status(404).json({
         success: false,
-        message: "User not found",
+        message: "Session not found",
       });
     }
 
+    session.revokedAt = new Date();
+    session.revokedReason = "revoked";
+    await session.save();
+
+    if (session._id.toString() === req.user.sessionId) {
+      clearAuthCookies(res);
+    }
+
     res.json({
       success: true,
-      data: user,
+      message: "Session revoked successfully",
     });
   } catch (error) {
-    console.error("Error fetching user:", error);
     res.status(500).json({
       success: false,
-      message: "Error fetching user",
+      message: "Error revoking session",
     });
   }
 });
 
-// TASK ROUTES
+// Verify email address
+app.post(
+  "/api/auth/verify-email",
+  body("token", "Verification token is required").isString().notEmpty(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg });
+    }
 
-// Get tasks with filters and pagination
-app.get("/api/tasks", verifyToken, async (req, res) => {
-  try {
-    const {
-      team,
-      owner,
-      tags,
-      project,
-      status,
-      priority,
-      page = 1,
-      limit = 10,
-      sort = "-createdAt",
-    } = req.query;
+    const { token } = req.body;
 
-    const filter = { isActive: true };
+    try {
+      const verification = await consumeVerificationToken(
+        token,
+        "email-verification"
+      );
 
-    if (team) filter.team = team;
-    if (owner) filter.owners = { $in: [owner] };
-    if (project) filter.project = project;
-    if (status) filter.status = status;
-    if (priority) filter.priority = priority;
-    if (tags) {
-      const tagArray = Array.isArray(tags) ? tags : tags.split(",");
-      filter.tags = { $in: tagArray };
+      if (!verification) {
+        return res
+          .status(400)
+          .json({ message: "Invalid or expired verification link" });
+      }
+
+      await User.findByIdAndUpdate(verification.user, {
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
+      });
+
+      res.status(200).json({ message: "Email verified successfully" });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error verifying email", error: error.message });
     }
+  }
+);
 
-    const tasks = await Task.find(filter)
-      .populate("project", "name description")
-      .populate("team", "name")
-      .populate("owners", "name email")
-      .populate("tags", "name color")
-      .populate("createdBy", "name email")
-      .sort(sort)
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+// Resend the verification email
+app.post(
+  "/api/auth/resend-verification",
+  emailLimiter,
+  verifyToken,
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.user.id);
 
-    const total = await Task.countDocuments(filter);
+      if (user.emailVerified) {
+        return res.status(400).json({ message: "Email is already verified" });
+      }
 
-    res.json({
-      success: true,
-      count: tasks.length,
-      total,
-      page: parseInt(page),
-      totalPages: Math.ceil(total / limit),
-      data: tasks,
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error fetching tasks",
-    });
+      await sendVerificationEmail(user);
+
+      res.status(200).json({ message: "Verification email sent" });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error sending verification email",
+        error: error.message,
+      });
+    }
   }
-});
+);
 
-// Get single task
-app.get("/api/tasks/:id", verifyToken, async (req, res) => {
-  try {
-    const task = await Task.findById(req.params.id)
-      .populate("project", "name description")
-      .populate("team", "name description")
-      .populate("owners", "name email")
-      .populate("tags", "name color")
-      .populate("createdBy", "name email");
+// Password reset validation
+const forgotPasswordValidation = [
+  body("email")
+    .isString()
+    .withMessage("Please provide your email")
+    .bail()
+    .trim()
+    .isEmail()
+    .withMessage("Please provide a valid email address"),
+];
 
-    if (!task || !task.isActive) {
-      return res.status(404).json({
-        success: false,
-        message: "Task not found",
+const resetPasswordValidation = [
+  body("token", "Please provide all required fields").isString().notEmpty(),
+  body("password")
+    .isString()
+    .withMessage("Please provide all required fields")
+    .bail()
+    .isLength({ min: 8 })
+    .withMessage("Password must be at least 8 characters long"),
+];
+
+// Request a password reset link
+app.post(
+  "/api/auth/forgot-password",
+  emailLimiter,
+  forgotPasswordValidation,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg });
+    }
+
+    const { email } = req.body;
+
+    try {
+      const user = await User.findOne({
+        email: email.toLowerCase(),
+        isActive: true,
+      });
+
+      // Respond the same way whether or not the account exists
+      if (user) {
+        const token = await createVerificationToken(
+          user,
+          "password-reset",
+          PASSWORD_RESET_TTL
+        );
+
+        await sendMail({
+          to: user.email,
+          subject: "Reset your Workasana password",
+          text: `Hi ${user.name},\n\nYou can choose a new password by opening this link:\n${APP_URL}/reset-password?token=${token}\n\nThe link expires in 1 hour. If you didn't ask for a reset, you can ignore this email.`,
+        });
+      }
+
+      res.status(200).json({
+        message:
+          "If an account exists for this email, a reset link has been sent",
+      });
+    } catch (error) {
+      res.status(500).json({
+        message: "Error requesting password reset",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Reset password with an emailed token
+app.post(
+  "/api/auth/reset-password",
+  resetPasswordValidation,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg });
+    }
+
+    const { token, password } = req.body;
+
+    try {
+      const reset = await consumeVerificationToken(token, "password-reset");
+
+      if (!reset) {
+        return res
+          .status(400)
+          .json({ message: "Invalid or expired reset link" });
+      }
+
+      const user = await User.findById(reset.user);
+      if (!user || !user.isActive) {
+        return res
+          .status(400)
+          .json({ message: "Invalid or expired reset link" });
+      }
+
+      const salt = await bcrypt.genSalt(10);
+      user.password = await bcrypt.hash(password, salt);
+      user.passwordChangedAt = new Date();
+      // Receiving the link proves the user owns the email address
+      if (!user.emailVerified) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+      }
+      await user.save();
+
+      // Sign out everywhere, the old password may have been compromised,
+      // and so may tokens created with it
+      await revokeUserSessions(user._id, "password-changed");
+      await revokeUserAccessTokens(user._id);
+      clearAuthCookies(res);
+
+      res.status(200).json({ message: "Password reset successfully" });
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error resetting password", error: error.message });
+    }
+  }
+);
+
+// Get current user
+app.get("/api/auth/user", verifyToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("-password -__v");
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    res.status(200).json(user);
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Internal server error", error: error.message });
+  }
+});
+
+// Profile validation
+const profileValidation = [
+  body("name", "Name must be between 1 and 50 characters")
+    .optional()
+    .isString()
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 50 }),
+  body("username", "Username cannot be empty")
+    .optional()
+    .isString()
+    .bail()
+    .trim()
+    .notEmpty(),
+  body("email", "Please provide a valid email address")
+    .optional()
+    .isString()
+    .bail()
+    .trim()
+    .isEmail(),
+];
+
+// Update current user's profile
+app.put("/api/auth/user", verifyToken, profileValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ message: errors.array()[0].msg });
+  }
+
+  const { name, username, email } = req.body;
+
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (username !== undefined && username.toLowerCase() !== user.username) {
+      const existingUser = await User.findOne({
+        username: username.toLowerCase(),
       });
+      if (existingUser) {
+        return res.status(400).json({ message: "Username already exists" });
+      }
+      user.username = username;
+    }
+
+    let emailChanged = false;
+    if (email !== undefined && email.toLowerCase() !== user.email) {
+      const existingUser = await User.findOne({ email: email.toLowerCase() });
+      if (existingUser) {
+        return res.status(400).json({ message: "Email already exists" });
+      }
+      user.email = email;
+      user.emailVerified = false;
+      user.emailVerifiedAt = undefined;
+      emailChanged = true;
+    }
+
+    if (name !== undefined) user.name = name;
+
+    await user.save();
+
+    // A new address has to be verified again
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (error) {
+        console.error("Error sending verification email:", error);
+      }
+    }
+
+    const userResponse = {
+      _id: user._id,
+      username: user.username,
+      name: user.name,
+      email: user.email,
+      emailVerified: user.emailVerified,
+    };
+
+    res
+      .status(200)
+      .json({ message: "Profile updated successfully", user: userResponse });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res
+      .status(500)
+      .json({ message: "Error updating profile", error: error.message });
+  }
+});
+
+// Password change validation
+const changePasswordValidation = [
+  body("currentPassword", "Please provide all required fields")
+    .isString()
+    .notEmpty(),
+  body("newPassword")
+    .isString()
+    .withMessage("Please provide all required fields")
+    .bail()
+    .isLength({ min: 8 })
+    .withMessage("Password must be at least 8 characters long"),
+];
+
+// Change password of the current user
+app.post(
+  "/api/auth/change-password",
+  verifyToken,
+  changePasswordValidation,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    try {
+      const user = await User.findById(req.user.id).select("+password");
+
+      const validPassword = await bcrypt.compare(
+        currentPassword,
+        user.password
+      );
+      if (!validPassword) {
+        return res
+          .status(401)
+          .json({ message: "Current password is incorrect" });
+      }
+
+      const salt = await bcrypt.genSalt(10);
+      user.password = await bcrypt.hash(newPassword, salt);
+      user.passwordChangedAt = new Date();
+      await user.save();
+
+      // Sign out other devices and rotate the tokens of this one.
+      // Personal access tokens have to be created again.
+      await revokeUserSessions(
+        user._id,
+        "password-changed",
+        req.user.sessionId
+      );
+      await revokeUserAccessTokens(user._id);
+      const session =
+        req.user.sessionId && (await Session.findById(req.user.sessionId));
+      if (session) {
+        await issueSessionTokens(res, user, session);
+      } else {
+        await startSession(req, res, user);
+      }
+
+      res.status(200).json({ message: "Password changed successfully" });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({ message: error.message });
+      }
+
+      res
+        .status(500)
+        .json({ message: "Error changing password", error: error.message });
     }
+  }
+);
+
+// List personal access tokens of the current user
+app.get("/api/auth/tokens", verifyToken, async (req, res) => {
+  try {
+    const tokens = await AccessToken.find({
+      user: req.user.id,
+      revokedAt: null,
+    })
+      .select("-__v")
+      .sort("-createdAt");
 
     res.json({
       success: true,
-      data: task,
+      count: tokens.length,
+      data: tokens,
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: "Error fetching task",
+      message: "Error fetching access tokens",
     });
   }
 });
 
-// Task validation rules
-const taskValidation = [
+// Access token validation
+const accessTokenValidation = [
   body("name")
     .trim()
-    .isLength({ min: 1, max: 100 })
-    .withMessage("Task name must be between 1 and 100 characters"),
-  body("project").isMongoId().withMessage("Please provide a valid project ID"),
-  body("team").isMongoId().withMessage("Please provide a valid team ID"),
-  body("owners")
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Token name must be between 1 and 50 characters"),
+  body("scopes")
     .isArray({ min: 1 })
-    .withMessage("At least one owner is required"),
-  body("timeToComplete")
-    .isFloat({ min: 0.1 })
-    .withMessage("Time to complete must be at least 0.1 days"),
+    .withMessage("At least one scope is required"),
+  body("scopes.*")
+    .isIn(["read", "tasks:write", "reports"])
+    .withMessage("Scopes must be read, tasks:write or reports"),
+  body("expiresAt")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Please provide a valid expiry date"),
 ];
 
-// Create task
-app.post("/api/tasks", verifyToken, taskValidation, async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
+// Create a personal access token
+app.post(
+  "/api/auth/tokens",
+  verifyToken,
+  accessTokenValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const { name, scopes, expiresAt } = req.body;
+
+      if (expiresAt && new Date(expiresAt) <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: "Expiry date must be in the future",
+        });
+      }
+
+      const token = `wa_pat_${crypto.randomBytes(24).toString("hex")}`;
+
+      const accessToken = await AccessToken.create({
+        user: req.user.id,
+        name,
+        tokenHash: hashToken(token),
+        prefix: token.slice(0, 12),
+        scopes: [...new Set(scopes)],
+        expiresAt: expiresAt || undefined,
+      });
+
+      const { tokenHash, __v, ...tokenData } = accessToken.toObject();
+
+      // The plain token can't be recovered later
+      res.status(201).json({
+        success: true,
+        message: "Access token created, copy it now as it won't be shown again",
+        data: { ...tokenData, token },
+      });
+    } catch (error) {
+      res.status(500).json({
         success: false,
-        message: "Validation errors",
-        errors: errors.array(),
+        message: "Error creating access token",
       });
     }
+  }
+);
 
-    const taskData = {
-      ...req.body,
-      createdBy: req.user.id,
-    };
-
-    const task = await Task.create(taskData);
+// Revoke a personal access token
+app.delete("/api/auth/tokens/:id", verifyToken, async (req, res) => {
+  try {
+    const accessToken =
+      mongoose.isValidObjectId(req.params.id) &&
+      (await AccessToken.findOneAndUpdate(
+        { _id: req.params.id, user: req.user.id, revokedAt: null },
+        { revokedAt: new Date() }
+      ));
 
-    const populatedTask = await Task.findById(task._id)
-      .populate("project", "name description")
-      .populate("team", "name")
-      .populate("owners", "name email")
-      .populate("tags", "name color")
-      .populate("createdBy", "name email");
+    if (!accessToken) {
+      return res.status(404).json({
+        success: false,
+        message: "Access token not found",
+      });
+    }
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: "Task created successfully",
-      data: populatedTask,
+      message: "Access token revoked successfully",
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: "Error creating task",
+      message: "Error revoking access token",
     });
   }
 });
 
-// Update task
-app.put("/api/tasks/:id", verifyToken, async (req, res) => {
+// USER ROUTES
+
+// Single words up to this long are looked up as username and email prefixes,
+// so lookups still match while the user is typing
+const USER_PREFIX_SEARCH_LENGTH = 20;
+
+// Get users with search
+app.get("/api/users", verifyToken, async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
+    const { search, status = "active", limit = 50 } = req.query;
+
+    if (!["active", "inactive", "all"].includes(status)) {
       return res.status(400).json({
         success: false,
-        message: "Validation errors",
-        errors: errors.array(),
+        message: "Status must be one of active, inactive or all",
       });
     }
 
-    let task = await Task.findById(req.params.id);
-
-    if (!task || !task.isActive) {
-      return res.status(404).json({
+    // Only admins can see deactivated users
+    if (status !== "active" && req.user.role !== "admin") {
+      return res.status(403).json({
         success: false,
-        message: "Task not found",
+        message: "Only admins can perform this action",
       });
     }
 
-    task = await Task.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true,
-    })
-      .populate("project", "name description")
-      .populate("team", "name")
-      .populate("owners", "name email")
-      .populate("tags", "name color")
-      .populate("createdBy", "name email");
+    const filter = {};
+    if (status !== "all") filter.isActive = status === "active";
+
+    if (!search) {
+      const list = await findList(res, User, filter, req.query, {
+        sort: "name",
+        defaultLimit: 50,
+        defaultSelect: "-password -__v",
+      });
+      if (!list) return;
+
+      return res.json({
+        success: true,
+        count: list.docs.length,
+        ...list.meta,
+        data: list.docs,
+      });
+    }
+
+    // Search results are ranked by relevance, so they only come as one page
+    const term = String(search).trim();
+    const isPrefix =
+      term.length <= USER_PREFIX_SEARCH_LENGTH && !/\s/.test(term);
+
+    if (isPrefix) {
+      // Both fields are stored in lowercase, so an anchored case-sensitive
+      // prefix can use their indexes
+      const prefix = new RegExp(`^${escapeRegExp(term.toLowerCase())}`);
+      filter.$or = [{ username: prefix }, { email: prefix }];
+    } else {
+      filter.$text = { $search: term };
+    }
+
+    const users = await User.find(
+      filter,
+      isPrefix ? {} : { score: { $meta: "textScore" } }
+    )
+      .select("-password -__v")
+      .limit(Math.min(Math.max(parseInt(limit) || 50, 1), 100))
+      .sort(
+        isPrefix ? { name: 1 } : { score: { $meta: "textScore" }, name: 1 }
+      );
 
     res.json({
       success: true,
-      message: "Task updated successfully",
-      data: task,
+      count: users.length,
+      data: users,
     });
   } catch (error) {
+    console.error("Error fetching users:", error);
     res.status(500).json({
       success: false,
-      message: "Error updating task",
+      message: "Error fetching users",
     });
   }
 });
 
-// Delete task (soft delete)
-app.delete("/api/tasks/:id", verifyToken, async (req, res) => {
+// Get single user
+app.get("/api/users/:id", verifyToken, async (req, res) => {
   try {
-    const task = await Task.findById(req.params.id);
+    const user =
+      mongoose.isValidObjectId(req.params.id) &&
+      (await User.findById(req.params.id).select("-password -__v"));
 
-    if (!task || !task.isActive) {
+    if (!user || (!user.isActive && req.user.role !== "admin")) {
       return res.status(404).json({
         success: false,
-        message: "Task not found",
+        message: "User not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: user,
+    });
+  } catch (error) {
+    console.error("Error fetching user:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching user",
+    });
+  }
+});
+
+// Change a user's role (admin only)
+app.patch(
+  "/api/users/:id/role",
+  verifyToken,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const { role } = req.body;
+
+      if (!["user", "admin"].includes(role)) {
+        return res.status(400).json({
+          success: false,
+          message: "Role must be either user or admin",
+        });
+      }
+
+      // Prevent admins from locking themselves out
+      if (req.params.id === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          message: "You cannot change your own role",
+        });
+      }
+
+      const user =
+        mongoose.isValidObjectId(req.params.id) &&
+        (await User.findByIdAndUpdate(
+          req.params.id,
+          { role },
+          { new: true, runValidators: true }
+        ).select("-password -__v"));
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "User role updated successfully",
+        data: user,
+      });
+    } catch (error) {
+      console.error("Error updating user role:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error updating user role",
       });
     }
+  }
+);
+
+// Deactivate or reactivate a user (admin only)
+app.patch(
+  "/api/users/:id/status",
+  verifyToken,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const { isActive } = req.body;
+
+      if (typeof isActive !== "boolean") {
+        return res.status(400).json({
+          success: false,
+          message: "isActive must be true or false",
+        });
+      }
+
+      if (req.params.id === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          message: "You cannot change your own status",
+        });
+      }
+
+      const user =
+        mongoose.isValidObjectId(req.params.id) &&
+        (await User.findByIdAndUpdate(
+          req.params.id,
+          { isActive },
+          { new: true }
+        ).select("-password -__v"));
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      // Deactivated users are signed out everywhere right away
+      if (!isActive) {
+        await revokeUserSessions(user._id, "deactivated");
+      }
+
+      res.json({
+        success: true,
+        message: isActive
+          ? "User reactivated successfully"
+          : "User deactivated successfully",
+        data: user,
+      });
+    } catch (error) {
+      console.error("Error updating user status:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error updating user status",
+      });
+    }
+  }
+);
+
+// ACTIVITY HELPERS
+
+// Fields tracked in the activity history of each entity type
+const AUDITED_FIELDS = {
+  task: [
+    "name",
+    "description",
+    "project",
+    "team",
+    "owners",
+    "tags",
+    "timeToComplete",
+    "status",
+    "priority",
+    "dueDate",
+    "completedAt",
+    "parent",
+    "blockedBy",
+    "checklist",
+    "isActive",
+  ],
+  project: [
+    "name",
+    "description",
+    "team",
+    "status",
+    "startDate",
+    "endDate",
+    "workflow",
+    "isActive",
+  ],
+  team: ["name", "description", "members", "leads", "isActive"],
+};
+
+// Convert IDs and dates so values can be compared and stored
+function toAuditValue(value) {
+  if (value === null || value === undefined) return null;
+  if (Array.isArray(value)) return value.map(toAuditValue);
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value._id) return value._id.toString();
+  if (typeof value.toObject === "function") return value.toObject();
+  return value;
+}
+
+// Audit values of fields holding subdocuments, which are compared by content
+// rather than by ID
+const AUDIT_VALUES = {
+  checklist: (items = []) => items.map(({ text, done }) => ({ text, done })),
+};
+
+// Field-level differences between two versions of a document
+function diffFields(entityType, before, after) {
+  return AUDITED_FIELDS[entityType]
+    .map((field) => {
+      const toValue = AUDIT_VALUES[field] || toAuditValue;
+      return {
+        field,
+        from: toValue(before[field]),
+        to: toValue(after[field]),
+      };
+    })
+    .filter(({ from, to }) => JSON.stringify(from) !== JSON.stringify(to));
+}
+
+// Record an activity entry. The change itself is already saved by then, so a
+// failure is logged instead of failing the request.
+async function recordActivity(req, entityType, doc, action, changes = []) {
+  try {
+    await Activity.create({
+      entityType,
+      entity: doc._id,
+      action,
+      // Changes made by scheduled jobs have no actor
+      actor: req ? req.user.id : undefined,
+      changes,
+      project:
+        entityType === "project" ? doc._id : idOf(doc.project) || undefined,
+      team: entityType === "team" ? doc._id : idOf(doc.team) || undefined,
+    });
+  } catch (error) {
+    console.error("Error recording activity:", error);
+  }
+}
+
+// Record what an update changed, if anything
+async function recordUpdate(req, entityType, before, doc) {
+  const changes = diffFields(entityType, before, doc);
+  if (changes.length === 0) return;
+
+  const action = changes.some((change) => change.field === "status")
+    ? "status_changed"
+    : "updated";
+  await recordActivity(req, entityType, doc, action, changes);
+}
+
+// Record the changes a bulk write made to each of the tasks it updated, as
+// those writes skip the per-task save path
+async function recordTaskUpdates(req, tasks, getChanges) {
+  await Promise.all(
+    tasks.map((task) =>
+      recordActivity(req, "task", task, "updated", getChanges(task))
+    )
+  );
+}
+
+// Page and limit from the query string, with a capped limit
+function getPagination(query, defaultLimit = 20) {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(
+    Math.max(parseInt(query.limit) || defaultLimit, 1),
+    100
+  );
+
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+// LIST HELPERS
+
+// Fields of a model that can be requested with fields=, leaving out hidden ones
+function getSelectableFields(model) {
+  return [
+    ...new Set(
+      Object.keys(model.schema.paths).map((path) => path.split(".")[0])
+    ),
+  ].filter((field) => {
+    const schemaType = model.schema.path(field);
+    return (
+      field !== "__v" && (!schemaType || schemaType.options.select !== false)
+    );
+  });
+}
+
+// Comma-separated or repeated list parameter
+function parseListParam(value) {
+  return (Array.isArray(value) ? value : [value])
+    .flatMap((item) => String(item).split(","))
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+// Sort like "-dueDate name" as [field, direction] pairs, ending with _id so
+// that documents with equal values keep a stable order
+function parseSortFields(sort) {
+  const fields = sort
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map((field) =>
+      field.startsWith("-") ? [field.slice(1), -1] : [field, 1]
+    );
+
+  if (!fields.some(([field]) => field === "_id")) fields.push(["_id", 1]);
+  return fields;
+}
+
+// Opaque cursor holding the sort values of the last document of a page
+function encodeCursor(doc, sortFields) {
+  const values = sortFields.map(([field]) => {
+    const value = doc.get(field);
+    return value === undefined ? null : value;
+  });
+  return Buffer.from(JSON.stringify(values)).toString("base64url");
+}
+
+// Sort values of a cursor, or null if it isn't a cursor of this sort
+function decodeCursor(cursor, sortFields) {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    const idIndex = sortFields.findIndex(([field]) => field === "_id");
+    return Array.isArray(values) &&
+      values.length === sortFields.length &&
+      mongoose.isValidObjectId(values[idIndex])
+      ? values
+      : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Query condition matching documents that come after the cursor's values.
+// Missing values sort before everything else, as they do in MongoDB.
+function cursorCondition(sortFields, values) {
+  const after = (field, value, direction) => {
+    if (value === null) {
+      return direction === 1 ? { [field]: { $ne: null } } : null;
+    }
+    return direction === 1
+      ? { [field]: { $gt: value } }
+      : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+  };
+
+  return {
+    $or: sortFields
+      .map(([field, direction], index) => {
+        const condition = after(field, values[index], direction);
+        if (!condition) return null;
+
+        const equal = sortFields
+          .slice(0, index)
+          .map(([equalField], equalIndex) => ({
+            [equalField]: values[equalIndex],
+          }));
+        return { $and: [...equal, condition] };
+      })
+      .filter(Boolean),
+  };
+}
+
+// Find the documents of a list route. Lists are paginated by page (page and
+// limit) or by cursor (cursor and limit, an empty cursor starts at the
+// beginning). fields= selects fields and expand= picks which of the
+// references in `expands` get populated, all of them by default.
+// Lists with `paginate` off return everything unless a page is asked for,
+// and `defaultSelect` applies when no fields are asked for.
+// Sends an error response and returns null when a parameter is invalid.
+async function findList(res, model, filter, query, options) {
+  const {
+    sort,
+    expands = {},
+    defaultLimit = 20,
+    paginate = true,
+    defaultSelect,
+  } = options;
+  const sortFields = parseSortFields(sort);
+
+  let select;
+  if (query.fields !== undefined) {
+    const fields = parseListParam(query.fields);
+    const selectable = getSelectableFields(model);
+    const unknownField = fields.find((field) => !selectable.includes(field));
+    if (unknownField || fields.length === 0) {
+      res.status(400).json({
+        success: false,
+        message: `Fields must be among: ${selectable.join(", ")}`,
+      });
+      return null;
+    }
+
+    // Sort fields are needed to build the next cursor
+    select = [...new Set([...fields, ...sortFields.map(([field]) => field)])];
+  }
+
+  const expand =
+    query.expand === undefined
+      ? Object.keys(expands)
+      : parseListParam(query.expand);
+  const unknownExpand = expand.find(
+    (path) => !Object.prototype.hasOwnProperty.call(expands, path)
+  );
+  if (unknownExpand) {
+    res.status(400).json({
+      success: false,
+      message: Object.keys(expands).length
+        ? `Expand must be among: ${Object.keys(expands).join(", ")}`
+        : "This list has no references to expand",
+    });
+    return null;
+  }
+  const populate = expand
+    .filter((path) => !select || select.includes(path))
+    .map((path) => ({ path, select: expands[path] }));
+
+  const find = (condition) =>
+    model
+      .find(condition)
+      .select(select ? select.join(" ") : defaultSelect)
+      .populate(populate)
+      .sort(Object.fromEntries(sortFields));
+
+  if (query.cursor !== undefined) {
+    const { limit } = getPagination(query, defaultLimit);
+    const values = query.cursor && decodeCursor(query.cursor, sortFields);
+    if (query.cursor && !values) {
+      res.status(400).json({
+        success: false,
+        message: "Invalid cursor",
+      });
+      return null;
+    }
+
+    const docs = await find(
+      values ? { $and: [filter, cursorCondition(sortFields, values)] } : filter
+    ).limit(limit + 1);
+    const hasMore = docs.length > limit;
+    if (hasMore) docs.pop();
+
+    return {
+      docs,
+      meta: {
+        limit,
+        hasMore,
+        nextCursor: hasMore
+          ? encodeCursor(docs[docs.length - 1], sortFields)
+          : null,
+      },
+    };
+  }
+
+  if (!paginate && query.page === undefined && query.limit === undefined) {
+    return { docs: await find(filter), meta: {} };
+  }
+
+  const { page, limit, skip } = getPagination(query, defaultLimit);
+  const [docs, total] = await Promise.all([
+    find(filter).limit(limit).skip(skip),
+    model.countDocuments(filter),
+  ]);
+
+  return {
+    docs,
+    meta: { total, page, totalPages: Math.ceil(total / limit) },
+  };
+}
+
+// TASK ROUTES
+
+// List filters on references: query parameter => task field
+const TASK_ID_FILTERS = {
+  team: "team",
+  owner: "owners",
+  project: "project",
+  tags: "tags",
+  createdBy: "createdBy",
+};
+
+// List filters on plain values: query parameter => task field
+const TASK_VALUE_FILTERS = {
+  status: "status",
+  priority: "priority",
+};
+
+// Date fields that can be filtered with <field>From and <field>To
+const TASK_DATE_FILTERS = ["dueDate", "createdAt", "completedAt"];
+
+// Fields tasks can be sorted by
+const TASK_SORT_FIELDS = [
+  "name",
+  "status",
+  "priority",
+  "dueDate",
+  "timeToComplete",
+  "createdAt",
+  "updatedAt",
+  "completedAt",
+];
+
+// Values of a list filter, given comma-separated or as repeated parameters.
+// Values starting with "!" are excluded instead of matched.
+function parseListFilter(value) {
+  const values = (Array.isArray(value) ? value : [value])
+    .flatMap((item) => String(item).split(","))
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+  return {
+    include: values.filter((item) => !item.startsWith("!")),
+    exclude: values
+      .filter((item) => item.startsWith("!"))
+      .map((item) => item.slice(1)),
+  };
+}
+
+// Parse a "true"/"false" query parameter, undefined if it is neither
+function parseBooleanParam(value) {
+  if (value === true || value === "true") return true;
+  if (value === false || value === "false") return false;
+  return undefined;
+}
+
+// Parse a date query parameter, a date without a time ending a range
+// covers the whole day
+function parseDateParam(value, endOfRange) {
+  const date = moment(String(value), moment.ISO_8601, true);
+  if (!date.isValid()) return null;
+
+  return endOfRange && String(value).length === 10
+    ? date.endOf("day").toDate()
+    : date.toDate();
+}
+
+// Validate a comma-separated sort, returning it in Mongoose form or null
+function parseTaskSort(sort) {
+  const fields = String(sort)
+    .split(",")
+    .map((field) => field.trim())
+    .filter(Boolean);
+
+  if (
+    fields.length === 0 ||
+    !fields.every((field) => TASK_SORT_FIELDS.includes(field.replace(/^-/, "")))
+  ) {
+    return null;
+  }
+
+  return fields.join(" ");
+}
+
+// Build the task query of the list filters, or send an error response
+async function buildTaskFilter(req, res, query) {
+  const fail = (status, message) => {
+    res.status(status).json({ success: false, message });
+    return null;
+  };
+
+  const filter = { isActive: true };
+  const conditions = [];
+
+  for (const [param, field] of Object.entries(TASK_ID_FILTERS)) {
+    if (!query[param]) continue;
+
+    // "me" stands for the current user
+    const { include, exclude } = parseListFilter(query[param]);
+    const toId = (id) => (id === "me" ? req.user.id : id);
+    if (
+      ![...include, ...exclude].every((id) =>
+        mongoose.isValidObjectId(toId(id))
+      )
+    ) {
+      return fail(400, `Invalid ID in "${param}" filter`);
+    }
+
+    const toObjectId = (id) => new mongoose.Types.ObjectId(toId(id));
+    const condition = {};
+    if (include.length > 0) {
+      // Tags can be required all at once instead of any of them
+      const operator =
+        param === "tags" && query.tagMatch === "all" ? "$all" : "$in";
+      condition[operator] = include.map(toObjectId);
+    }
+    if (exclude.length > 0) condition.$nin = exclude.map(toObjectId);
+    filter[field] = condition;
+  }
+
+  // Users only see tasks of their own teams
+  const { include: teams } = parseListFilter(query.team || []);
+  for (const team of teams) {
+    if (!(await canAccessTeam(req, team))) {
+      return fail(403, "You are not a member of this team");
+    }
+  }
+  if (teams.length === 0) {
+    const scope = await teamScope(req);
+    if (scope.team) filter.team = { ...filter.team, ...scope.team };
+  }
+
+  for (const [param, field] of Object.entries(TASK_VALUE_FILTERS)) {
+    if (!query[param]) continue;
+
+    const { include, exclude } = parseListFilter(query[param]);
+    const condition = {};
+    if (include.length > 0) condition.$in = include;
+    if (exclude.length > 0) condition.$nin = exclude;
+    filter[field] = condition;
+  }
+
+  for (const field of TASK_DATE_FILTERS) {
+    const range = {};
+
+    for (const [suffix, operator] of [
+      ["From", "$gte"],
+      ["To", "$lte"],
+    ]) {
+      const value = query[field + suffix];
+      if (value === undefined || value === "") continue;
+
+      const date = parseDateParam(value, suffix === "To");
+      if (!date) {
+        return fail(400, `"${field + suffix}" must be an ISO 8601 date`);
+      }
+      range[operator] = date;
+    }
+
+    if (Object.keys(range).length > 0) filter[field] = range;
+  }
+
+  if (query.overdue !== undefined) {
+    const overdue = parseBooleanParam(query.overdue);
+    if (overdue === undefined) {
+      return fail(400, '"overdue" must be true or false');
+    }
+
+    const now = new Date();
+    conditions.push(
+      overdue
+        ? { dueDate: { $lt: now }, ...OPEN_TASK_FILTER }
+        : {
+            $or: [
+              { dueDate: null },
+              { dueDate: { $gte: now } },
+              DONE_TASK_FILTER,
+            ],
+          }
+    );
+  }
+
+  if (query.unassigned !== undefined) {
+    const unassigned = parseBooleanParam(query.unassigned);
+    if (unassigned === undefined) {
+      return fail(400, '"unassigned" must be true or false');
+    }
+
+    conditions.push(
+      unassigned ? { owners: { $size: 0 } } : { "owners.0": { $exists: true } }
+    );
+  }
+
+  if (
+    query.tagMatch !== undefined &&
+    !["any", "all"].includes(query.tagMatch)
+  ) {
+    return fail(400, '"tagMatch" must be any or all');
+  }
+
+  if (conditions.length > 0) filter.$and = conditions;
+
+  return filter;
+}
+
+// References of a task that lists can expand, with the fields shown
+const TASK_EXPANDS = {
+  project: "name description",
+  team: "name",
+  owners: "name email",
+  tags: "name color",
+  createdBy: "name email",
+};
+
+// Send a page of tasks matching the list filters of a query
+async function sendTaskList(req, res, query) {
+  const sort = parseTaskSort(query.sort || "-createdAt");
+  if (!sort) {
+    return res.status(400).json({
+      success: false,
+      message: `Sort must use these fields: ${TASK_SORT_FIELDS.join(", ")}`,
+    });
+  }
+
+  const filter = await buildTaskFilter(req, res, query);
+  if (!filter) return;
+
+  const list = await findList(res, Task, filter, query, {
+    sort,
+    expands: TASK_EXPANDS,
+    defaultLimit: 10,
+  });
+  if (!list) return;
+  const tasks = list.docs;
+
+  // Attach comment counts for the tasks on this page
+  const commentCounts = await Comment.aggregate([
+    {
+      $match: {
+        task: { $in: tasks.map((task) => task._id) },
+        isActive: true,
+      },
+    },
+    { $group: { _id: "$task", count: { $sum: 1 } } },
+  ]);
+  const commentCountByTask = Object.fromEntries(
+    commentCounts.map(({ _id, count }) => [_id.toString(), count])
+  );
+  const loggedMinutesByTask = await getLoggedMinutesByTask(
+    tasks.map((task) => task._id)
+  );
+
+  res.json({
+    success: true,
+    count: tasks.length,
+    ...list.meta,
+    data: tasks.map((task) => ({
+      ...task.toObject(),
+      commentCount: commentCountByTask[task._id.toString()] || 0,
+      loggedMinutes: loggedMinutesByTask[task._id.toString()] || 0,
+    })),
+  });
+}
+
+// Stream every task matching the list filters of a query as an export
+async function exportTasks(req, res, format, query) {
+  const sort = parseTaskSort(query.sort || "-createdAt");
+  if (!sort) {
+    return res.status(400).json({
+      success: false,
+      message: `Sort must use these fields: ${TASK_SORT_FIELDS.join(", ")}`,
+    });
+  }
+
+  const filter = await buildTaskFilter(req, res, query);
+  if (!filter) return;
+
+  const tasks = Task.find(filter).populate(TASK_EXPORT_POPULATE).sort(sort);
+
+  await sendExport(
+    res,
+    format,
+    "tasks",
+    streamTaskRows(tasks),
+    TASK_EXPORT_COLUMNS
+  );
+}
+
+// Get tasks with filters and pagination, or export all of them
+app.get("/api/tasks", verifyToken, async (req, res) => {
+  try {
+    const format = parseExportFormat(req, res);
+    if (!format) return;
+
+    if (format !== "json") {
+      return await exportTasks(req, res, format, req.query);
+    }
+
+    await sendTaskList(req, res, req.query);
+  } catch (error) {
+    // Exports may fail after streaming has started
+    if (res.headersSent) return res.end();
+
+    res.status(500).json({
+      success: false,
+      message: "Error fetching tasks",
+    });
+  }
+});
+
+// Get single task
+app.get("/api/tasks/:id", verifyToken, async (req, res) => {
+  try {
+    const task =
+      mongoose.isValidObjectId(req.params.id) &&
+      (await Task.findById(req.params.id)
+        .populate("project", "name description")
+        .populate("team", "name description")
+        .populate("owners", "name email")
+        .populate("tags", "name color")
+        .populate("createdBy", "name email"));
+
+    if (!task || !task.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: "Task not found",
+      });
+    }
+
+    if (!(await canAccessTeam(req, task.team))) {
+      return res.status(403).json({
+        success: false,
+        message: "You don't have access to this task",
+      });
+    }
+
+    const blocks = await Task.find({ blockedBy: task._id, isActive: true })
+      .select("name status")
+      .sort("createdAt");
+    await task.populate("blockedBy", "name status isActive");
+
+    const children = await Task.find({ parent: task._id, isActive: true })
+      .select("name status priority timeToComplete dueDate completedAt owners")
+      .populate("owners", "name email")
+      .sort("createdAt");
+
+    res.json({
+      success: true,
+      data: {
+        ...task.toObject(),
+        blocks,
+        children,
+        series: task.recurrence ? await getSeriesSummary(task) : null,
+        rollup: getTaskRollup(task, children),
+        timeTracking: getTimeTracking(
+          task,
+          (await getLoggedMinutesByTask([task._id]))[task._id.toString()]
+        ),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching task",
+    });
+  }
+});
+
+// Check that a task can be nested under a parent, returning an error message if not
+async function validateParentTask(taskId, parentId, projectId) {
+  const parent =
+    mongoose.isValidObjectId(parentId) && (await Task.findById(parentId));
+
+  if (!parent || !parent.isActive) return "Parent task not found";
+
+  if (idOf(parent.project) !== idOf(projectId)) {
+    return "Parent task must belong to the same project";
+  }
+
+  // Walk up from the parent so a task can't end up below itself
+  const visited = new Set();
+  let ancestor = parent;
+  while (ancestor && !visited.has(ancestor._id.toString())) {
+    if (taskId && ancestor._id.equals(taskId)) {
+      return "A task cannot be nested under itself or one of its subtasks";
+    }
+    visited.add(ancestor._id.toString());
+    ancestor =
+      ancestor.parent &&
+      (await Task.findById(ancestor.parent).select("parent"));
+  }
+
+  return null;
+}
+
+// Count subtasks that still have to be completed
+function countOpenChildren(taskId) {
+  return Task.countDocuments({
+    parent: taskId,
+    isActive: true,
+    ...OPEN_TASK_FILTER,
+  });
+}
+
+// Progress of a task rolled up from its subtasks and checklist
+function getTaskRollup(task, children) {
+  const completedChildren = children.filter((child) => child.completedAt);
+  const sumEstimates = (tasks) =>
+    tasks.reduce((sum, child) => sum + child.timeToComplete, 0);
+  const percent = (part, total) =>
+    total > 0 ? Math.round((part / total) * 1000) / 10 : 0;
+
+  const childEstimate = sumEstimates(children);
+  const completedEstimate = sumEstimates(completedChildren);
+  const checklistDone = task.checklist.filter((item) => item.done).length;
+
+  return {
+    subtasks: {
+      total: children.length,
+      completed: completedChildren.length,
+      estimate: childEstimate,
+      completedEstimate,
+      percentComplete: percent(completedEstimate, childEstimate),
+    },
+    checklist: {
+      total: task.checklist.length,
+      done: checklistDone,
+      percentComplete: percent(checklistDone, task.checklist.length),
+    },
+  };
+}
+
+// Fields clients can set through the create and update routes
+const TASK_EDITABLE_FIELDS = [
+  "name",
+  "description",
+  "project",
+  "team",
+  "owners",
+  "tags",
+  "timeToComplete",
+  "status",
+  "priority",
+  "dueDate",
+  "parent",
+];
+
+// Copy the allowed fields that are present in an object
+function pick(source, fields) {
+  return Object.fromEntries(
+    fields
+      .filter((field) => source[field] !== undefined)
+      .map((field) => [field, source[field]])
+  );
+}
+
+// Task validation rules
+const taskValidation = [
+  body("name")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Task name must be between 1 and 100 characters"),
+  body("project").isMongoId().withMessage("Please provide a valid project ID"),
+  body("team").isMongoId().withMessage("Please provide a valid team ID"),
+  body("owners")
+    .isArray({ min: 1 })
+    .withMessage("At least one owner is required"),
+  body("timeToComplete")
+    .isFloat({ min: 0.1 })
+    .withMessage("Time to complete must be at least 0.1 days"),
+  body("parent")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Please provide a valid parent task ID"),
+];
+
+// Create task
+app.post("/api/tasks", verifyToken, taskValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    if (!(await canAccessTeam(req, req.body.team))) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only create tasks for your own teams",
+      });
+    }
+
+    const project = await Project.findById(req.body.project);
+    if (!project || !project.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      });
+    }
+
+    if (!(await canAccessProject(req, project))) {
+      return res.status(403).json({
+        success: false,
+        message: "You don't have access to this project",
+      });
+    }
+
+    if (project.team && idOf(project.team) !== req.body.team) {
+      return res.status(400).json({
+        success: false,
+        message: "The project doesn't belong to the task's team",
+      });
+    }
+
+    if (req.body.parent) {
+      const parentError = await validateParentTask(
+        null,
+        req.body.parent,
+        project._id
+      );
+      if (parentError) {
+        return res.status(400).json({
+          success: false,
+          message: parentError,
+        });
+      }
+    }
+
+    // Dependencies, series, board positions and completion are managed
+    // elsewhere, so only the editable fields and a first checklist are taken
+    // from the request
+    const { recurrence } = req.body;
+    const fields = pick(req.body, [...TASK_EDITABLE_FIELDS, "checklist"]);
+    const taskData = {
+      ...fields,
+      // New tasks go to the bottom of their column
+      rank: await getEndRank(fields.project),
+      createdBy: req.user.id,
+    };
+
+    if (recurrence) {
+      taskData.recurrence = normalizeRecurrence(recurrence, fields.dueDate);
+      const recurrenceError = validateRecurrence(
+        taskData.recurrence,
+        fields.dueDate
+      );
+      if (recurrenceError) {
+        return res.status(400).json({
+          success: false,
+          message: recurrenceError,
+        });
+      }
+    }
+
+    const task = await Task.create(taskData);
+    await recordActivity(
+      req,
+      "task",
+      task,
+      "created",
+      diffFields("task", {}, task)
+    );
+
+    const populatedTask = await Task.findById(task._id)
+      .populate("project", "name description")
+      .populate("team", "name")
+      .populate("owners", "name email")
+      .populate("tags", "name color")
+      .populate("createdBy", "name email");
+
+    res.status(201).json({
+      success: true,
+      message: "Task created successfully",
+      data: populatedTask,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error creating task",
+    });
+  }
+});
+
+// Apply changes to a task the current user may access. Returns the field
+// changes, or an error with the status code it should be reported with.
+// A dry run checks and validates the changes without saving them.
+async function applyTaskUpdate(req, task, updates, { force, dryRun } = {}) {
+  if (updates.team && !(await canAccessTeam(req, updates.team))) {
+    return {
+      status: 403,
+      message: "You can only move tasks to your own teams",
+    };
+  }
+
+  if (updates.project && idOf(updates.project) !== idOf(task.project)) {
+    const project = await Project.findById(updates.project);
+    if (!project || !project.isActive) {
+      return { status: 404, message: "Project not found" };
+    }
+
+    if (!(await canAccessProject(req, project))) {
+      return {
+        status: 403,
+        message: "You don't have access to this project",
+      };
+    }
+  }
+
+  const before = task.toObject();
+
+  // Saving the document keeps completedAt in sync through the model hook
+  task.set(pick(updates, TASK_EDITABLE_FIELDS));
+
+  // A status set by hand replaces the one a blocked task would return to
+  if (task.isModified("status")) task.statusBeforeBlocked = undefined;
+
+  // Tasks stay in projects of their own team
+  if (task.isModified("project") || task.isModified("team")) {
+    const project = await Project.findById(task.project).select("team");
+    if (project && project.team && idOf(project.team) !== idOf(task.team)) {
+      return {
+        status: 400,
+        message: "The project doesn't belong to the task's team",
+      };
+    }
+  }
+
+  if (
+    task.isModified("parent") ||
+    (task.parent && task.isModified("project"))
+  ) {
+    const parentError =
+      task.parent &&
+      (await validateParentTask(task._id, task.parent, task.project));
+    if (parentError) {
+      return { status: 400, message: parentError };
+    }
+  }
+
+  if (
+    task.isModified("project") &&
+    (await Task.exists({ parent: task._id, isActive: true }))
+  ) {
+    return {
+      status: 400,
+      message: "Move or detach the subtasks before moving this task",
+    };
+  }
+
+  const workflow = await Project.getWorkflowFor(task.project);
+
+  // Status changes within a project follow the workflow's transitions
+  if (
+    task.isModified("status") &&
+    !task.isModified("project") &&
+    workflow.transitions.length > 0 &&
+    !workflow.transitions.some(
+      ({ from, to }) => from === before.status && to === task.status
+    )
+  ) {
+    return {
+      status: 400,
+      message: `Cannot move task from "${before.status}" to "${task.status}"`,
+    };
+  }
+
+  // Statuses with a WIP limit take no more tasks once full, unless forced
+  const column = workflow.statuses.find(({ name }) => name === task.status);
+  if (
+    task.isModified("status") &&
+    column &&
+    column.wipLimit &&
+    force !== true
+  ) {
+    const columnCount = await Task.countDocuments({
+      project: task.project,
+      status: task.status,
+      isActive: true,
+      ...OPEN_TASK_FILTER,
+      _id: { $ne: task._id },
+    });
+    if (columnCount >= column.wipLimit) {
+      return {
+        status: 409,
+        message: `"${task.status}" has reached its WIP limit, set force to move the task anyway`,
+        wipLimit: column.wipLimit,
+      };
+    }
+  }
+
+  // Blocked tasks can't move on while blockers are open, unless forced
+  if (
+    task.isModified("status") &&
+    task.status !== workflow.blockedStatus &&
+    force !== true
+  ) {
+    const openBlockers = await countOpenBlockers(task);
+    if (openBlockers > 0) {
+      return {
+        status: 409,
+        message:
+          "Task is blocked by open tasks, set force to change its status anyway",
+        openBlockers,
+      };
+    }
+  }
+
+  // Parents stay open while subtasks are open, unless forced
+  if (
+    task.isModified("status") &&
+    workflow.doneStatuses.includes(task.status) &&
+    force !== true
+  ) {
+    const openChildren = await countOpenChildren(task._id);
+    if (openChildren > 0) {
+      return {
+        status: 409,
+        message: "Task has open subtasks, set force to complete it anyway",
+        openChildren,
+      };
+    }
+  }
+
+  if (dryRun) {
+    await task.validate();
+    return { changes: diffFields("task", before, task) };
+  }
+
+  await task.save();
+  await recordUpdate(req, "task", before, task);
+
+  if (before.status !== task.status) {
+    await syncDependents(req, task);
+  }
+
+  // Completing an occurrence of a series creates the next one
+  if (!before.completedAt && task.completedAt) {
+    await createNextOccurrence(req, task);
+  }
+
+  return { changes: diffFields("task", before, task) };
+}
+
+// Update task
+app.put("/api/tasks/:id", verifyToken, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const task = await findAccessibleTask(req, res, req.params.id);
+    if (!task) return;
+
+    const result = await applyTaskUpdate(req, task, req.body, {
+      force: req.body.force,
+    });
+    if (result.status) {
+      const { status, ...failure } = result;
+      return res.status(status).json({
+        success: false,
+        ...failure,
+      });
+    }
+
+    await task.populate([
+      { path: "project", select: "name description" },
+      { path: "team", select: "name" },
+      { path: "owners", select: "name email" },
+      { path: "tags", select: "name color" },
+      { path: "createdBy", select: "name email" },
+    ]);
+
+    res.json({
+      success: true,
+      message: "Task updated successfully",
+      data: task,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error updating task",
+    });
+  }
+});
+
+// Soft delete a task and detach what depends on it
+async function deleteTask(req, task) {
+  task.isActive = false;
+  await task.save();
+  await recordActivity(req, "task", task, "deleted", [
+    { field: "isActive", from: true, to: false },
+  ]);
+
+  // Subtasks of a deleted task become top-level tasks
+  const subtasks = await Task.find({ parent: task._id }).select("project team");
+  await Task.updateMany({ parent: task._id }, { $unset: { parent: 1 } });
+  await recordTaskUpdates(req, subtasks, () => [
+    { field: "parent", from: idOf(task), to: null },
+  ]);
+  // Deleted tasks no longer block anything
+  await syncDependents(req, task);
+}
+
+// Delete task (soft delete)
+app.delete("/api/tasks/:id", verifyToken, async (req, res) => {
+  try {
+    const task = await findAccessibleTask(req, res, req.params.id);
+    if (!task) return;
+
+    await deleteTask(req, task);
+
+    res.json({
+      success: true,
+      message: "Task deleted successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error deleting task",
+    });
+  }
+});
+
+// BULK TASK ROUTES
+
+// Most tasks a single bulk request may change
+const BULK_TASK_LIMIT = 500;
+
+// Update each bulk action makes to a task, given the action's value
+const BULK_TASK_ACTIONS = {
+  "set-status": (task, value) => ({ status: value }),
+  "set-priority": (task, value) => ({ priority: value }),
+  "set-due-date": (task, value) => ({ dueDate: value }),
+  "add-owners": (task, value) => ({ owners: addIds(task.owners, value) }),
+  "remove-owners": (task, value) => ({
+    owners: removeIds(task.owners, value),
+  }),
+  "add-tags": (task, value) => ({ tags: addIds(task.tags, value) }),
+  "remove-tags": (task, value) => ({ tags: removeIds(task.tags, value) }),
+  move: (task, value) => pick(value, ["project", "team"]),
+  delete: null,
+};
+
+// Add IDs to a list of references without duplicates
+function addIds(list, ids) {
+  return [...new Set([...list.map(idOf), ...ids.map(idOf)])];
+}
+
+// Remove IDs from a list of references
+function removeIds(list, ids) {
+  const removed = ids.map(idOf);
+  return list.map(idOf).filter((id) => !removed.includes(id));
+}
+
+// Bulk action validation, returning an error message if invalid
+function validateBulkAction(action, value) {
+  if (!Object.prototype.hasOwnProperty.call(BULK_TASK_ACTIONS, action)) {
+    return `Action must be one of: ${Object.keys(BULK_TASK_ACTIONS).join(
+      ", "
+    )}`;
+  }
+
+  if (action.endsWith("-owners") || action.endsWith("-tags")) {
+    if (
+      !Array.isArray(value) ||
+      value.length === 0 ||
+      !value.every((id) => mongoose.isValidObjectId(id))
+    ) {
+      return "Value must be a non-empty array of IDs";
+    }
+  }
+
+  if (action === "move") {
+    if (!value || (!value.project && !value.team)) {
+      return "Value must include a project or team to move the tasks to";
+    }
+    if (
+      [value.project, value.team].some(
+        (id) => id && !mongoose.isValidObjectId(id)
+      )
+    ) {
+      return "Invalid project or team ID";
+    }
+  }
+
+  if (action.startsWith("set-") && value === undefined) {
+    return "Value is required";
+  }
+
+  return null;
+}
+
+// Apply one action to many tasks, reporting the result of each task
+app.post("/api/tasks/bulk", verifyToken, async (req, res) => {
+  try {
+    const { ids, filter, action, value, force, dryRun = false } = req.body;
+
+    const actionError = validateBulkAction(action, value);
+    if (actionError) {
+      return res.status(400).json({
+        success: false,
+        message: actionError,
+      });
+    }
+
+    let tasks;
+    const results = [];
+
+    if (Array.isArray(ids) && ids.length > 0) {
+      if (ids.length > BULK_TASK_LIMIT) {
+        return res.status(400).json({
+          success: false,
+          message: `A bulk request can change at most ${BULK_TASK_LIMIT} tasks`,
+        });
+      }
+
+      const uniqueIds = [...new Set(ids.map(String))];
+      const validIds = uniqueIds.filter((id) => mongoose.isValidObjectId(id));
+      const found = await Task.find({
+        _id: { $in: validIds },
+        isActive: true,
+      });
+      const foundById = new Map(
+        found.map((task) => [task._id.toString(), task])
+      );
+
+      // Tasks that can't be changed are reported instead of failing the request
+      tasks = [];
+      for (const id of uniqueIds) {
+        const task = foundById.get(id);
+        if (!task) {
+          results.push({ id, success: false, message: "Task not found" });
+        } else if (!(await canAccessTeam(req, task.team))) {
+          results.push({
+            id,
+            success: false,
+            message: "You don't have access to this task",
+          });
+        } else {
+          tasks.push(task);
+        }
+      }
+    } else if (filter && typeof filter === "object") {
+      const query = await buildTaskFilter(req, res, filter);
+      if (!query) return;
+
+      tasks = await Task.find(query).limit(BULK_TASK_LIMIT + 1);
+      if (tasks.length > BULK_TASK_LIMIT) {
+        return res.status(400).json({
+          success: false,
+          message: `The filter matches more than ${BULK_TASK_LIMIT} tasks, please narrow it down`,
+        });
+      }
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide task IDs or a filter",
+      });
+    }
+
+    for (const task of tasks) {
+      const id = task._id.toString();
+
+      try {
+        if (action === "delete") {
+          if (!dryRun) await deleteTask(req, task);
+          results.push({
+            id,
+            success: true,
+            changes: [{ field: "isActive", from: true, to: false }],
+          });
+          continue;
+        }
+
+        const updates = BULK_TASK_ACTIONS[action](task, value);
+        const { status, changes, ...failure } = await applyTaskUpdate(
+          req,
+          task,
+          updates,
+          { force, dryRun }
+        );
+        results.push(
+          status
+            ? { id, success: false, ...failure }
+            : { id, success: true, changes }
+        );
+      } catch (error) {
+        results.push({
+          id,
+          success: false,
+          message:
+            error.name === "ValidationError" || error.name === "CastError"
+              ? error.message
+              : "Error updating task",
+        });
+      }
+    }
+
+    const succeeded = results.filter((result) => result.success).length;
+
+    res.json({
+      success: true,
+      message: dryRun
+        ? `${succeeded} of ${results.length} tasks would be updated`
+        : `${succeeded} of ${results.length} tasks updated`,
+      dryRun,
+      count: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      data: results,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error updating tasks",
+    });
+  }
+});
+
+// BOARD ROUTES
+
+// Digits of board ranks, in sort order
+const RANK_DIGITS = "0123456789abcdefghijklmnopqrstuvwxyz";
+
+// Rank sorting between two ranks, null stands for the start or end of the
+// board. Moving a card only changes its own rank.
+function rankBetween(before, after) {
+  let rank = "";
+  // Whether the rank so far is still a prefix of the rank after it
+  let bounded = !!after;
+
+  for (let i = 0; ; i++) {
+    const low =
+      before && i < before.length ? RANK_DIGITS.indexOf(before[i]) : 0;
+    const high =
+      bounded && i < after.length
+        ? RANK_DIGITS.indexOf(after[i])
+        : RANK_DIGITS.length;
+
+    if (high - low > 1) {
+      return rank + RANK_DIGITS[Math.floor((low + high) / 2)];
+    }
+
+    rank += RANK_DIGITS[low];
+    if (low < high) bounded = false;
+  }
+}
+
+// Cards added at the end of a column get ranks of this length, this far
+// apart, so appending doesn't make ranks longer
+const RANK_LENGTH = 5;
+const RANK_STEP = RANK_DIGITS.length ** 2;
+const RANK_SPACE = RANK_DIGITS.length ** RANK_LENGTH;
+// Columns get new ranks once moves make a rank this long
+const RANK_REBALANCE_LENGTH = 12;
+
+// Rank a fixed step after another one, null stands for the start of the
+// board. Past the last step it falls back to the middle of what is left.
+function rankAfter(rank) {
+  if (!rank) return rankBetween(null, null).padEnd(RANK_LENGTH, "0");
+
+  const head = rank.slice(0, RANK_LENGTH).padEnd(RANK_LENGTH, "0");
+  const next = parseInt(head, RANK_DIGITS.length) + RANK_STEP;
+  if (next >= RANK_SPACE) return rankBetween(rank, null);
+
+  return next.toString(RANK_DIGITS.length).padStart(RANK_LENGTH, "0");
+}
+
+// Rank after every other task of a project
+async function getEndRank(projectId) {
+  const last =
+    projectId &&
+    mongoose.isValidObjectId(projectId) &&
+    (await Task.findOne({ project: projectId, rank: { $ne: null } })
+      .sort({ rank: -1 })
+      .select("rank"));
+
+  return rankAfter(last ? last.rank : null);
+}
+
+// Spread the ranks of a column evenly again, keeping the order of its cards
+async function rebalanceColumn(projectId, status) {
+  const cards = (
+    await Task.find({ project: projectId, status, isActive: true }).select(
+      "rank createdAt"
+    )
+  ).sort(compareCards);
+  const spacing = Math.min(
+    RANK_STEP,
+    Math.floor(RANK_SPACE / (cards.length + 1))
+  );
+
+  const ranks = new Map(
+    cards.map((card, index) => [
+      card._id.toString(),
+      ((index + 1) * spacing)
+        .toString(RANK_DIGITS.length)
+        .padStart(RANK_LENGTH, "0"),
+    ])
+  );
+  await Task.bulkWrite(
+    cards.map((card) => ({
+      updateOne: {
+        filter: { _id: card._id },
+        update: { rank: ranks.get(card._id.toString()) },
+      },
+    }))
+  );
+
+  return ranks;
+}
+
+// Order cards by rank, tasks created before ranks existed go last
+function compareCards(a, b) {
+  if (a.rank && b.rank) {
+    if (a.rank !== b.rank) return a.rank < b.rank ? -1 : 1;
+  } else if (a.rank || b.rank) {
+    return a.rank ? -1 : 1;
+  }
+
+  return (
+    a.createdAt - b.createdAt || (a._id.toString() < b._id.toString() ? -1 : 1)
+  );
+}
+
+// Get the board of a project, with one column per workflow status
+app.get("/api/projects/:id/board", verifyToken, async (req, res) => {
+  try {
+    const project = await findAccessibleProject(req, res, req.params.id);
+    if (!project) return;
+
+    const workflow = project.getWorkflow();
+    const tasks = await Task.find({
+      project: project._id,
+      isActive: true,
+      ...(await teamScope(req)),
+    })
+      .select(
+        "name status priority dueDate owners tags timeToComplete rank completedAt createdAt"
+      )
+      .populate("owners", "name email")
+      .populate("tags", "name color");
+
+    const columns = workflow.statuses.map(({ name, wipLimit }) => {
+      const cards = tasks
+        .filter((task) => task.status === name)
+        .sort(compareCards);
+
+      return {
+        status: name,
+        isDone: workflow.doneStatuses.includes(name),
+        wipLimit: wipLimit || null,
+        count: cards.length,
+        estimate: cards.reduce(
+          (sum, card) => sum + (card.timeToComplete || 0),
+          0
+        ),
+        overLimit: !!wipLimit && cards.length > wipLimit,
+        cards,
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        project: { _id: project._id, name: project.name },
+        columns,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching board",
+    });
+  }
+});
+
+// Move a card to a position in a column of its project's board
+app.post("/api/tasks/:id/move", verifyToken, async (req, res) => {
+  try {
+    const task = await findAccessibleTask(req, res, req.params.id);
+    if (!task) return;
+
+    const { status = task.status, position, force } = req.body;
+
+    if (
+      position !== undefined &&
+      !(Number.isInteger(position) && position >= 0)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Position must be a whole number of at least 0",
+      });
+    }
+
+    // Cards of the target column as the user sees them on the board
+    const cards = (
+      await Task.find({
+        project: task.project,
+        status,
+        isActive: true,
+        _id: { $ne: task._id },
+        ...(await teamScope(req)),
+      }).select("rank createdAt")
+    ).sort(compareCards);
+
+    const index = Math.min(
+      position === undefined ? cards.length : position,
+      cards.length
+    );
+
+    // Cards created before ranks existed get one, in their current order,
+    // once a card moves next to them. They are saved once the move is.
+    const neighbours = cards.slice(Math.max(index - 1, 0), index + 1);
+    const unranked = neighbours.some((card) => !card.rank)
+      ? cards.filter((card) => !card.rank)
+      : [];
+    let rank = unranked.length > 0 ? await getEndRank(task.project) : null;
+    for (const card of unranked) {
+      card.rank = rank;
+      rank = rankAfter(rank);
+    }
+
+    const before = index > 0 ? cards[index - 1].rank : null;
+    const after = index < cards.length ? cards[index].rank : null;
+    task.rank = after ? rankBetween(before, after) : rankAfter(before);
+
+    const result = await applyTaskUpdate(req, task, { status }, { force });
+    if (result.status) {
+      const { status: code, ...failure } = result;
+      return res.status(code).json({
+        success: false,
+        ...failure,
+      });
+    }
+
+    for (const card of unranked) {
+      await Task.updateOne({ _id: card._id }, { rank: card.rank });
+    }
+
+    // Moving between close cards makes ranks longer, until the column
+    // gets new ones
+    if (task.rank.length >= RANK_REBALANCE_LENGTH) {
+      const ranks = await rebalanceColumn(task.project, task.status);
+      task.rank = ranks.get(task._id.toString()) || task.rank;
+    }
+
+    res.json({
+      success: true,
+      message: "Task moved successfully",
+      data: {
+        _id: task._id,
+        status: task.status,
+        rank: task.rank,
+        position: index,
+      },
+    });
+  } catch (error) {
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error moving task",
+    });
+  }
+});
+
+// CHECKLIST ROUTES
+
+// Checklist item validation
+const checklistItemValidation = [
+  body("text")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage("Checklist item must be between 1 and 200 characters"),
+];
+
+// Add checklist item
+app.post(
+  "/api/tasks/:id/checklist",
+  verifyToken,
+  checklistItemValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const task = await findAccessibleTask(req, res, req.params.id);
+      if (!task) return;
+
+      const before = task.toObject();
+      task.checklist.push({ text: req.body.text });
+      await task.save();
+      await recordUpdate(req, "task", before, task);
+
+      res.status(201).json({
+        success: true,
+        message: "Checklist item added successfully",
+        data: task.checklist,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error adding checklist item",
+      });
+    }
+  }
+);
+
+// Update or check off checklist item
+app.patch(
+  "/api/tasks/:id/checklist/:itemId",
+  verifyToken,
+  body("text")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage("Checklist item must be between 1 and 200 characters"),
+  body("done")
+    .optional()
+    .isBoolean()
+    .withMessage("Done must be true or false")
+    .toBoolean(),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const task = await findAccessibleTask(req, res, req.params.id);
+      if (!task) return;
+
+      const item = task.checklist.id(req.params.itemId);
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: "Checklist item not found",
+        });
+      }
+
+      const before = task.toObject();
+      const { text, done } = req.body;
+      if (text !== undefined) item.text = text;
+      if (done !== undefined && done !== item.done) {
+        item.done = done;
+        item.doneAt = item.done ? new Date() : undefined;
+      }
+      await task.save();
+      await recordUpdate(req, "task", before, task);
+
+      res.json({
+        success: true,
+        message: "Checklist item updated successfully",
+        data: task.checklist,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error updating checklist item",
+      });
+    }
+  }
+);
+
+// Remove checklist item
+app.delete(
+  "/api/tasks/:id/checklist/:itemId",
+  verifyToken,
+  async (req, res) => {
+    try {
+      const task = await findAccessibleTask(req, res, req.params.id);
+      if (!task) return;
+
+      const item = task.checklist.id(req.params.itemId);
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: "Checklist item not found",
+        });
+      }
+
+      const before = task.toObject();
+      item.deleteOne();
+      await task.save();
+      await recordUpdate(req, "task", before, task);
+
+      res.json({
+        success: true,
+        message: "Checklist item removed successfully",
+        data: task.checklist,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error removing checklist item",
+      });
+    }
+  }
+);
+
+// DEPENDENCY ROUTES
+
+// Count blockers of a task that are still open
+function countOpenBlockers(task) {
+  return Task.countDocuments({
+    _id: { $in: task.blockedBy },
+    isActive: true,
+    ...OPEN_TASK_FILTER,
+  });
+}
+
+// Check whether a task is blocked, directly or transitively, by another one
+async function isBlockedBy(taskId, otherId) {
+  const target = otherId.toString();
+  const visited = new Set();
+  let queue = [taskId.toString()];
+
+  while (queue.length > 0) {
+    const tasks = await Task.find({ _id: { $in: queue } }).select("blockedBy");
+    queue = [];
+
+    for (const task of tasks) {
+      for (const blockerId of task.blockedBy) {
+        const id = blockerId.toString();
+        if (id === target) return true;
+        if (!visited.has(id)) {
+          visited.add(id);
+          queue.push(id);
+        }
+      }
+    }
+  }
+
+  return false;
+}
+
+// Block tasks while a blocker is open and release them when all are done
+async function syncBlockedStatus(req, tasks) {
+  for (const task of tasks) {
+    if (!task.isActive || task.completedAt) continue;
+
+    // Workflows without a blocked status don't block automatically
+    const { statuses, blockedStatus } = await Project.getWorkflowFor(
+      task.project
+    );
+    if (!blockedStatus) continue;
+
+    const blocked = (await countOpenBlockers(task)) > 0;
+    const before = task.toObject();
+
+    if (blocked && task.status !== blockedStatus) {
+      task.statusBeforeBlocked = task.status;
+      task.status = blockedStatus;
+    } else if (
+      !blocked &&
+      task.status === blockedStatus &&
+      task.statusBeforeBlocked
+    ) {
+      // The previous status may have left the workflow in the meantime
+      task.status = statuses.some(
+        ({ name }) => name === task.statusBeforeBlocked
+      )
+        ? task.statusBeforeBlocked
+        : statuses[0].name;
+      task.statusBeforeBlocked = undefined;
+    } else {
+      continue;
+    }
+
+    await task.save();
+    await recordUpdate(req, "task", before, task);
+  }
+}
+
+// Re-check the tasks waiting on a task after it changed
+async function syncDependents(req, task) {
+  const dependents = await Task.find({ blockedBy: task._id, isActive: true });
+  await syncBlockedStatus(req, dependents);
+}
+
+// Schedule a dependency graph and find its critical path. Durations are the
+// remaining estimates in days, so completed tasks count as zero.
+function computeCriticalPath(tasks) {
+  const round = (value) => Math.round(value * 1000) / 1000;
+  const ids = new Set(tasks.map((task) => task._id.toString()));
+
+  const nodes = tasks.map((task) => ({
+    _id: task._id.toString(),
+    name: task.name,
+    status: task.status,
+    timeToComplete: task.timeToComplete,
+    duration: task.completedAt ? 0 : task.timeToComplete,
+    blockedBy: task.blockedBy
+      .map((id) => id.toString())
+      .filter((id) => ids.has(id)),
+  }));
+  const byId = new Map(nodes.map((node) => [node._id, node]));
+  const dependents = new Map(nodes.map((node) => [node._id, []]));
+  nodes.forEach((node) =>
+    node.blockedBy.forEach((id) => dependents.get(id).push(node._id))
+  );
+
+  // Topological order, cycles are rejected when dependencies are added
+  const pending = new Map(
+    nodes.map((node) => [node._id, node.blockedBy.length])
+  );
+  const queue = nodes
+    .filter((node) => node.blockedBy.length === 0)
+    .map((node) => node._id);
+  const order = [];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    order.push(byId.get(id));
+    dependents.get(id).forEach((dependentId) => {
+      pending.set(dependentId, pending.get(dependentId) - 1);
+      if (pending.get(dependentId) === 0) queue.push(dependentId);
+    });
+  }
+
+  order.forEach((node) => {
+    node.earliestStart = Math.max(
+      0,
+      ...node.blockedBy.map((id) => byId.get(id).earliestFinish)
+    );
+    node.earliestFinish = round(node.earliestStart + node.duration);
+  });
+
+  const totalDuration = Math.max(
+    0,
+    ...order.map((node) => node.earliestFinish)
+  );
+
+  [...order].reverse().forEach((node) => {
+    node.latestFinish = Math.min(
+      totalDuration,
+      ...dependents.get(node._id).map((id) => byId.get(id).latestStart)
+    );
+    node.latestStart = round(node.latestFinish - node.duration);
+    node.slack = round(node.latestStart - node.earliestStart);
+    node.critical = node.slack === 0;
+  });
+
+  // Walk back from the last critical task through critical blockers
+  const criticalPath = [];
+  let current = order.find(
+    (node) => node.critical && node.earliestFinish === totalDuration
+  );
+  while (current) {
+    criticalPath.unshift(current._id);
+    current = current.blockedBy
+      .map((id) => byId.get(id))
+      .find(
+        (blocker) =>
+          blocker.critical && blocker.earliestFinish === current.earliestStart
+      );
+  }
+
+  return {
+    nodes: order,
+    edges: order.flatMap((node) =>
+      node.blockedBy.map((id) => ({ from: id, to: node._id }))
+    ),
+    criticalPath,
+    totalDuration,
+  };
+}
+
+// Get what blocks a task and what it blocks
+app.get("/api/tasks/:id/dependencies", verifyToken, async (req, res) => {
+  try {
+    const task = await findAccessibleTask(req, res, req.params.id);
+    if (!task) return;
+
+    const [blockedBy, blocks] = await Promise.all([
+      Task.find({ _id: { $in: task.blockedBy }, isActive: true }).select(
+        "name status timeToComplete project"
+      ),
+      Task.find({ blockedBy: task._id, isActive: true }).select(
+        "name status timeToComplete project"
+      ),
+    ]);
+
+    res.json({
+      success: true,
+      data: { blockedBy, blocks },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching dependencies",
+    });
+  }
+});
+
+// Add a blocker to a task
+app.post(
+  "/api/tasks/:id/dependencies",
+  verifyToken,
+  body("blockedBy").isMongoId().withMessage("Please provide a valid task ID"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const task = await findAccessibleTask(req, res, req.params.id);
+      if (!task) return;
+
+      const blocker = await findAccessibleTask(req, res, req.body.blockedBy);
+      if (!blocker) return;
+
+      if (task.blockedBy.some((id) => id.equals(blocker._id))) {
+        return res.status(409).json({
+          success: false,
+          message: "Task is already blocked by this task",
+        });
+      }
+
+      if (
+        blocker._id.equals(task._id) ||
+        (await isBlockedBy(blocker._id, task._id))
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "This dependency would create a cycle",
+        });
+      }
+
+      const before = task.toObject();
+      task.blockedBy.push(blocker._id);
+      await task.save();
+      await recordUpdate(req, "task", before, task);
+      await syncBlockedStatus(req, [task]);
+
+      res.status(201).json({
+        success: true,
+        message: "Dependency added successfully",
+        data: task,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error adding dependency",
+      });
+    }
+  }
+);
+
+// Remove a blocker from a task
+app.delete(
+  "/api/tasks/:id/dependencies/:blockerId",
+  verifyToken,
+  async (req, res) => {
+    try {
+      const task = await findAccessibleTask(req, res, req.params.id);
+      if (!task) return;
+
+      if (
+        !task.blockedBy.some((id) => id.toString() === req.params.blockerId)
+      ) {
+        return res.status(404).json({
+          success: false,
+          message: "Dependency not found",
+        });
+      }
+
+      const before = task.toObject();
+      task.blockedBy.pull(req.params.blockerId);
+      await task.save();
+      await recordUpdate(req, "task", before, task);
+      await syncBlockedStatus(req, [task]);
+
+      res.json({
+        success: true,
+        message: "Dependency removed successfully",
+        data: task,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error removing dependency",
+      });
+    }
+  }
+);
+
+// Get the dependency graph of a project with its critical path
+app.get("/api/projects/:id/dependency-graph", verifyToken, async (req, res) => {
+  try {
+    const project = await findAccessibleProject(req, res, req.params.id);
+    if (!project) return;
+
+    const tasks = await Task.find({
+      project: project._id,
+      isActive: true,
+    }).select("name status timeToComplete completedAt blockedBy");
+
+    res.json({
+      success: true,
+      data: computeCriticalPath(tasks),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error building dependency graph",
+    });
+  }
+});
+
+// RECURRENCE ROUTES
+
+// Fill in defaults of a recurrence rule from the first due date
+function normalizeRecurrence(rule, dueDate) {
+  const due = dueDate && moment.utc(dueDate);
+  const normalized = {
+    frequency: rule.frequency,
+    endDate: rule.endDate || undefined,
+    isActive: true,
+  };
+
+  if (rule.frequency === "interval") normalized.interval = rule.interval;
+  if (rule.frequency === "weekly") {
+    normalized.weekdays =
+      Array.isArray(rule.weekdays) && rule.weekdays.length > 0
+        ? [...new Set(rule.weekdays)]
+        : due && [due.day()];
+  }
+  if (rule.frequency === "monthly") {
+    normalized.dayOfMonth = rule.dayOfMonth || (due && due.date());
+  }
+
+  return normalized;
+}
+
+// Check a normalized recurrence rule, returning an error message if invalid
+function validateRecurrence(rule, dueDate) {
+  if (!["daily", "weekly", "monthly", "interval"].includes(rule.frequency)) {
+    return "Frequency must be daily, weekly, monthly or interval";
+  }
+
+  if (!dueDate || isNaN(new Date(dueDate))) {
+    return "Recurring tasks need a due date";
+  }
+
+  if (
+    rule.frequency === "interval" &&
+    !(Number.isInteger(rule.interval) && rule.interval >= 1)
+  ) {
+    return "Interval must be a whole number of days of at least 1";
+  }
+
+  if (
+    rule.frequency === "weekly" &&
+    !rule.weekdays.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+  ) {
+    return "Weekdays must be numbers from 0 (Sunday) to 6 (Saturday)";
+  }
+
+  if (
+    rule.frequency === "monthly" &&
+    !(
+      Number.isInteger(rule.dayOfMonth) &&
+      rule.dayOfMonth >= 1 &&
+      rule.dayOfMonth <= 31
+    )
+  ) {
+    return "Day of month must be between 1 and 31";
+  }
+
+  if (rule.endDate && isNaN(new Date(rule.endDate))) {
+    return "Please provide a valid end date";
+  }
+
+  return null;
+}
+
+// Due date of the occurrence following one due on the given date
+function getNextDueDate(rule, from) {
+  const date = moment.utc(from);
+
+  switch (rule.frequency) {
+    case "daily":
+      return date.add(1, "day").toDate();
+    case "interval":
+      return date.add(rule.interval, "days").toDate();
+    case "weekly":
+      do {
+        date.add(1, "day");
+      } while (!rule.weekdays.includes(date.day()));
+      return date.toDate();
+    case "monthly": {
+      // Months without that day use their last day instead
+      const sameMonth = date
+        .clone()
+        .date(Math.min(rule.dayOfMonth, date.daysInMonth()));
+      if (sameMonth.isAfter(date)) return sameMonth.toDate();
+
+      const nextMonth = date.clone().date(1).add(1, "month");
+      return nextMonth
+        .date(Math.min(rule.dayOfMonth, nextMonth.daysInMonth()))
+        .toDate();
+    }
+    default:
+      return null;
+  }
+}
+
+// Upcoming due dates of a series after its latest occurrence
+function getUpcomingDueDates(rule, from, count = 5) {
+  const dates = [];
+  let date = from;
+
+  while (dates.length < count) {
+    date = getNextDueDate(rule, date);
+    if (rule.endDate && date > rule.endDate) break;
+    dates.push(date);
+  }
+
+  return dates;
+}
+
+// All occurrences of the series a task belongs to
+function findSeriesTasks(task, filter = {}) {
+  const seriesId = task.series || task._id;
+  return Task.find({
+    $or: [{ _id: seriesId }, { series: seriesId }],
+    ...filter,
+  });
+}
+
+// Series a recurring task belongs to, with the due dates still to come
+async function getSeriesSummary(task) {
+  const occurrences = await findSeriesTasks(task, { isActive: true })
+    .select("name status dueDate completedAt")
+    .sort({ dueDate: 1 });
+  const latest = occurrences.reduce(
+    (last, occurrence) =>
+      !last || occurrence.dueDate > last.dueDate ? occurrence : last,
+    null
+  );
+
+  return {
+    id: task.series || task._id,
+    rule: task.recurrence,
+    occurrences,
+    upcoming:
+      task.recurrence.isActive && latest && latest.dueDate
+        ? getUpcomingDueDates(task.recurrence, latest.dueDate)
+        : [],
+  };
+}
+
+// Create the occurrence after a recurring task, at most once per occurrence
+async function createNextOccurrence(req, task) {
+  const rule = task.recurrence;
+  if (!rule || !rule.isActive || !task.isActive || task.nextOccurrence) {
+    return null;
+  }
+
+  const dueDate = getNextDueDate(rule, task.dueDate || task.completedAt);
+
+  // Past the end date the series is over
+  if (rule.endDate && dueDate > rule.endDate) {
+    await Task.updateOne({ _id: task._id }, { "recurrence.isActive": false });
+    return null;
+  }
+
+  // Claim the occurrence first so the scheduler and the update route
+  // can't both create it
+  const nextId = new mongoose.Types.ObjectId();
+  const claimed = await Task.findOneAndUpdate(
+    { _id: task._id, nextOccurrence: null },
+    { nextOccurrence: nextId }
+  );
+  if (!claimed) return null;
+
+  try {
+    const next = await Task.create({
+      _id: nextId,
+      name: task.name,
+      description: task.description,
+      project: task.project,
+      team: task.team,
+      owners: task.owners,
+      tags: task.tags,
+      timeToComplete: task.timeToComplete,
+      priority: task.priority,
+      dueDate,
+      rank: await getEndRank(task.project),
+      checklist: task.checklist.map(({ text }) => ({ text })),
+      recurrence: rule,
+      series: task.series || task._id,
+      createdBy: task.createdBy,
+    });
+    await recordActivity(
+      req,
+      "task",
+      next,
+      "created",
+      diffFields("task", {}, next)
+    );
+
+    task.nextOccurrence = nextId;
+    return next;
+  } catch (error) {
+    await Task.updateOne({ _id: task._id }, { $unset: { nextOccurrence: 1 } });
+    throw error;
+  }
+}
+
+// Create occurrences that are due, even if the previous one is still open
+async function createScheduledOccurrences() {
+  try {
+    const now = new Date();
+    const dueTasks = await Task.find({
+      isActive: true,
+      "recurrence.isActive": true,
+      nextOccurrence: null,
+      dueDate: { $lte: now },
+    });
+
+    // A series that fell behind catches up on the missed occurrences
+    for (const task of dueTasks) {
+      let next = await createNextOccurrence(null, task);
+      let created = 1;
+      while (
+        next &&
+        next.dueDate <= now &&
+        created < RECURRENCE_CATCH_UP_LIMIT
+      ) {
+        next = await createNextOccurrence(null, next);
+        created++;
+      }
+    }
+  } catch (error) {
+    console.error("Error creating scheduled occurrences:", error);
+  }
+}
+
+// Fields copied to every occurrence of a series
+const SERIES_FIELDS = [
+  "name",
+  "description",
+  "owners",
+  "tags",
+  "timeToComplete",
+  "priority",
+];
+
+// Set or change the recurrence of a task's series, and the fields of its
+// open occurrences
+app.put("/api/tasks/:id/recurrence", verifyToken, async (req, res) => {
+  try {
+    const task = await findAccessibleTask(req, res, req.params.id);
+    if (!task) return;
+
+    // Editing only the fields of a series keeps its rule
+    if (req.body.frequency === undefined && !task.recurrence) {
+      return res.status(404).json({
+        success: false,
+        message: "Task is not recurring",
+      });
+    }
+
+    const rule =
+      req.body.frequency === undefined
+        ? task.recurrence.toObject()
+        : normalizeRecurrence(req.body, task.dueDate);
+    const recurrenceError = validateRecurrence(rule, task.dueDate);
+    if (recurrenceError) {
+      return res.status(400).json({
+        success: false,
+        message: recurrenceError,
+      });
+    }
+
+    // The rule and fields are kept on every open occurrence of the series
+    const seriesTasks = await findSeriesTasks(task, { isActive: true });
+    const tasksToUpdate = seriesTasks
+      .filter(
+        (seriesTask) =>
+          !seriesTask.completedAt || seriesTask._id.equals(task._id)
+      )
+      .map((seriesTask) => ({ seriesTask, before: seriesTask.toObject() }));
+    const fields = pick(req.body, SERIES_FIELDS);
+
+    // Check every occurrence before saving any, so a series isn't left
+    // half edited
+    for (const { seriesTask } of tasksToUpdate) {
+      seriesTask.set({ ...fields, recurrence: rule });
+      await seriesTask.validate();
+    }
+
+    for (const { seriesTask, before } of tasksToUpdate) {
+      await seriesTask.save();
+      await recordUpdate(req, "task", before, seriesTask);
+    }
+
+    res.json({
+      success: true,
+      message: "Recurrence updated successfully",
+      data: rule,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error updating recurrence",
+    });
+  }
+});
+
+// Stop a task's series from creating new occurrences
+app.delete("/api/tasks/:id/recurrence", verifyToken, async (req, res) => {
+  try {
+    const task = await findAccessibleTask(req, res, req.params.id);
+    if (!task) return;
+
+    if (!task.recurrence) {
+      return res.status(404).json({
+        success: false,
+        message: "Task is not recurring",
+      });
+    }
+
+    const seriesTasks = await findSeriesTasks(task, {
+      "recurrence.isActive": true,
+    });
+    await Task.updateMany(
+      { _id: { $in: seriesTasks.map((seriesTask) => seriesTask._id) } },
+      { "recurrence.isActive": false }
+    );
+    await recordTaskUpdates(req, seriesTasks, () => [
+      { field: "recurrence.isActive", from: true, to: false },
+    ]);
+
+    res.json({
+      success: true,
+      message: "Series stopped successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error stopping series",
+    });
+  }
+});
+
+// COMMENT ROUTES
+
+// Get task comments with pagination
+app.get("/api/tasks/:id/comments", verifyToken, async (req, res) => {
+  try {
+    const task = await findAccessibleTask(req, res, req.params.id);
+    if (!task) return;
+
+    const list = await findList(
+      res,
+      Comment,
+      { task: task._id, isActive: true },
+      req.query,
+      { sort: "createdAt", expands: { author: "name email" } }
+    );
+    if (!list) return;
+
+    res.json({
+      success: true,
+      count: list.docs.length,
+      ...list.meta,
+      data: list.docs,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching comments",
+    });
+  }
+});
+
+// Comment validation
+const commentValidation = [
+  body("body")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage("Comment must be between 1 and 2000 characters"),
+];
+
+// Add comment
+app.post(
+  "/api/tasks/:id/comments",
+  verifyToken,
+  commentValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const task = await findAccessibleTask(req, res, req.params.id);
+      if (!task) return;
+
+      const comment = await Comment.create({
+        task: task._id,
+        author: req.user.id,
+        body: req.body.body,
+      });
+      await comment.populate("author", "name email");
+
+      res.status(201).json({
+        success: true,
+        message: "Comment added successfully",
+        data: comment,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error adding comment",
+      });
+    }
+  }
+);
+
+// Load a comment of the task that the current user may change
+async function findEditableComment(req, res, task) {
+  const comment =
+    mongoose.isValidObjectId(req.params.commentId) &&
+    (await Comment.findOne({
+      _id: req.params.commentId,
+      task: task._id,
+      isActive: true,
+    }));
+
+  if (!comment) {
+    res.status(404).json({
+      success: false,
+      message: "Comment not found",
+    });
+    return null;
+  }
+
+  if (!comment.author.equals(req.user.id) && req.user.role !== "admin") {
+    res.status(403).json({
+      success: false,
+      message: "Only the author or an admin can change this comment",
+    });
+    return null;
+  }
+
+  return comment;
+}
+
+// Edit comment
+app.put(
+  "/api/tasks/:id/comments/:commentId",
+  verifyToken,
+  commentValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const task = await findAccessibleTask(req, res, req.params.id);
+      if (!task) return;
+
+      const comment = await findEditableComment(req, res, task);
+      if (!comment) return;
+
+      comment.body = req.body.body;
+      comment.editedAt = new Date();
+      await comment.save();
+      await comment.populate("author", "name email");
+
+      res.json({
+        success: true,
+        message: "Comment updated successfully",
+        data: comment,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error updating comment",
+      });
+    }
+  }
+);
+
+// Delete comment (soft delete)
+app.delete(
+  "/api/tasks/:id/comments/:commentId",
+  verifyToken,
+  async (req, res) => {
+    try {
+      const task = await findAccessibleTask(req, res, req.params.id);
+      if (!task) return;
+
+      const comment = await findEditableComment(req, res, task);
+      if (!comment) return;
+
+      comment.isActive = false;
+      await comment.save();
+
+      res.json({
+        success: true,
+        message: "Comment deleted successfully",
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Error deleting comment",
+      });
+    }
+  }
+);
+
+// TIME TRACKING ROUTES
+
+// Minutes logged on each of the given tasks, by task ID
+async function getLoggedMinutesByTask(taskIds) {
+  const totals = await TimeLog.aggregate([
+    {
+      $match: {
+        task: { $in: taskIds },
+        isActive: true,
+        duration: { $ne: null },
+      },
+    },
+    { $group: { _id: "$task", minutes: { $sum: "$duration" } } },
+  ]);
+
+  return Object.fromEntries(
+    totals.map(({ _id, minutes }) => [_id.toString(), minutes])
+  );
+}
+
+// Logged time of a task next to its estimate
+function getTimeTracking(task, loggedMinutes = 0) {
+  const loggedDays = loggedMinutes / WORKDAY_MINUTES;
+
+  return {
+    estimatedDays: task.timeToComplete,
+    loggedMinutes,
+    loggedDays: Math.round(loggedDays * 100) / 100,
+    remainingDays: Math.max(
+      Math.round((task.timeToComplete - loggedDays) * 100) / 100,
+      0
+    ),
+  };
+}
+
+// Time log validation
+const timeLogValidation = [
+  body("duration")
+    .isInt({ min: 1, max: 24 * 60 })
+    .withMessage("Duration must be between 1 and 1440 minutes"),
+  body("date")
+    .optional()
+    .isISO8601()
+    .withMessage("Please provide a valid date"),
+  body("note")
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage("Note cannot exceed 500 characters"),
+];
+
+// Get the time logged on a task
+app.get("/api/tasks/:id/time-logs", verifyToken, async (req, res) => {
+  try {
+    const task = await findAccessibleTask(req, res, req.params.id);
+    if (!task) return;
+
+    const list = await findList(
+      res,
+      TimeLog,
+      { task: task._id, isActive: true },
+      req.query,
+      { sort: "-date -createdAt", expands: { user: "name email" } }
+    );
+    if (!list) return;
+
+    const loggedMinutes = (await getLoggedMinutesByTask([task._id]))[
+      task._id.toString()
+    ];
+
+    res.json({
+      success: true,
+      count: list.docs.length,
+      ...list.meta,
+      timeTracking: getTimeTracking(task, loggedMinutes),
+      data: list.docs,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching time logs",
+    });
+  }
+});
+
+// Log time on a task
+app.post(
+  "/api/tasks/:id/time-logs",
+  verifyToken,
+  timeLogValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const task = await findAccessibleTask(req, res, req.params.id);
+      if (!task) return;
+
+      const timeLog = await TimeLog.create({
+        task: task._id,
+        user: req.user.id,
+        project: task.project,
+        team: task.team,
+        duration: req.body.duration,
+        date: req.body.date || new Date(),
+        note: req.body.note,
+      });
+      await timeLog.populate("user", "name email");
+
+      res.status(201).json({
+        success: true,
+        message: "Time logged successfully",
+        data: timeLog,
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Error logging time",
+      });
+    }
+  }
+);
+
+// Load a finished time log of the task that the current user may change
+async function findEditableTimeLog(req, res, task) {
+  const timeLog =
+    mongoose.isValidObjectId(req.params.logId) &&
+    (await TimeLog.findOne({
+      _id: req.params.logId,
+      task: task._id,
+      isActive: true,
+      duration: { $ne: null },
+    }));
+
+  if (!timeLog) {
+    res.status(404).json({
+      success: false,
+      message: "Time log not found",
+    });
+    return null;
+  }
+
+  if (!timeLog.user.equals(req.user.id) && req.user.role !== "admin") {
+    res.status(403).json({
+      success: false,
+      message: "Only the author or an admin can change this time log",
+    });
+    return null;
+  }
+
+  return timeLog;
+}
+
+// Edit time log
+app.put(
+  "/api/tasks/:id/time-logs/:logId",
+  verifyToken,
+  timeLogValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const task = await findAccessibleTask(req, res, req.params.id);
+      if (!task) return;
+
+      const timeLog = await findEditableTimeLog(req, res, task);
+      if (!timeLog) return;
+
+      timeLog.set(pick(req.body, ["duration", "date", "note"]));
+      await timeLog.save();
+      await timeLog.populate("user", "name email");
+
+      res.json({
+        success: true,
+        message: "Time log updated successfully",
+        data: timeLog,
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Error updating time log",
+      });
+    }
+  }
+);
+
+// Delete time log (soft delete)
+app.delete("/api/tasks/:id/time-logs/:logId", verifyToken, async (req, res) => {
+  try {
+    const task = await findAccessibleTask(req, res, req.params.id);
+    if (!task) return;
+
+    const timeLog = await findEditableTimeLog(req, res, task);
+    if (!timeLog) return;
+
+    timeLog.isActive = false;
+    await timeLog.save();
+
+    res.json({
+      success: true,
+      message: "Time log deleted successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error deleting time log",
+    });
+  }
+});
+
+// Start a timer on a task, a user can only run one timer at a time
+app.post("/api/tasks/:id/timer/start", verifyToken, async (req, res) => {
+  try {
+    const task = await findAccessibleTask(req, res, req.params.id);
+    if (!task) return;
+
+    const running = await TimeLog.findOne({
+      user: req.user.id,
+      isActive: true,
+      duration: null,
+    }).populate("task", "name");
+    if (running) {
+      return res.status(409).json({
+        success: false,
+        message: "Stop your running timer before starting another one",
+        data: running,
+      });
+    }
+
+    const now = new Date();
+    const timeLog = await TimeLog.create({
+      task: task._id,
+      user: req.user.id,
+      project: task.project,
+      team: task.team,
+      date: now,
+      startedAt: now,
+      note: (req.body || {}).note,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Timer started",
+      data: timeLog,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error starting timer",
+    });
+  }
+});
+
+// Stop the current user's timer on a task and log the time. Timers belong
+// to their user, who can stop them even after losing access to the task.
+app.post("/api/tasks/:id/timer/stop", verifyToken, async (req, res) => {
+  try {
+    const timeLog =
+      mongoose.isValidObjectId(req.params.id) &&
+      (await TimeLog.findOne({
+        task: req.params.id,
+        user: req.user.id,
+        isActive: true,
+        duration: null,
+      }));
+    if (!timeLog) {
+      return res.status(404).json({
+        success: false,
+        message: "No timer is running on this task",
+      });
+    }
+
+    // Timers left running for more than a day are logged as one full day
+    const minutes = Math.round((Date.now() - timeLog.startedAt) / 60000);
+    timeLog.duration = Math.min(Math.max(minutes, 1), 24 * 60);
+    const { note } = req.body || {};
+    if (note !== undefined) timeLog.note = note;
+    await timeLog.save();
+
+    res.json({
+      success: true,
+      message: "Timer stopped",
+      data: timeLog,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error stopping timer",
+    });
+  }
+});
+
+// Parse a from/to range of dates, defaulting to the current week
+function getDateRange(query) {
+  const from = query.from
+    ? moment(query.from, moment.ISO_8601, true)
+    : moment().startOf("isoWeek");
+  const to = query.to
+    ? moment(query.to, moment.ISO_8601, true)
+    : moment(from).endOf("isoWeek");
+
+  if (!from.isValid() || !to.isValid() || to.isBefore(from)) return null;
+  return { from: from.startOf("day"), to: to.endOf("day") };
+}
+
+// Get the timesheet of a user, "me" for the current user
+app.get("/api/users/:id/timesheet", verifyToken, async (req, res) => {
+  try {
+    const userId = req.params.id === "me" ? req.user.id : req.params.id;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a valid user ID",
+      });
+    }
+
+    if (userId !== req.user.id && req.user.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        message: "You can only see your own timesheet",
+      });
+    }
+
+    const range = getDateRange(req.query);
+    if (!range || range.to.diff(range.from, "days") > 366) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide valid from and to dates at most a year apart",
+      });
+    }
+
+    const user = await User.findById(userId).select("name email");
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const timeLogs = await TimeLog.find({
+      user: userId,
+      isActive: true,
+      duration: { $ne: null },
+      date: { $gte: range.from.toDate(), $lte: range.to.toDate() },
+    })
+      .populate("task", "name")
+      .populate("project", "name")
+      .sort("date createdAt");
+
+    // One entry per day of the range, including days without time
+    const days = [];
+    for (
+      const day = range.from.clone();
+      day.isSameOrBefore(range.to);
+      day.add(1, "day")
+    ) {
+      const logs = timeLogs.filter((timeLog) =>
+        moment(timeLog.date).isSame(day, "day")
+      );
+      days.push({
+        date: day.format("YYYY-MM-DD"),
+        totalMinutes: logs.reduce((sum, timeLog) => sum + timeLog.duration, 0),
+        logs,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        from: range.from.format("YYYY-MM-DD"),
+        to: range.to.format("YYYY-MM-DD"),
+        totalMinutes: days.reduce((sum, day) => sum + day.totalMinutes, 0),
+        days,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching timesheet",
+    });
+  }
+});
+
+// ACTIVITY ROUTES
+
+// Get the activity history of a task
+app.get("/api/tasks/:id/activity", verifyToken, async (req, res) => {
+  try {
+    const task = await findAccessibleTask(req, res, req.params.id);
+    if (!task) return;
+
+    const list = await findList(
+      res,
+      Activity,
+      { entityType: "task", entity: task._id },
+      req.query,
+      { sort: "-createdAt", expands: { actor: "name email" } }
+    );
+    if (!list) return;
+
+    res.json({
+      success: true,
+      count: list.docs.length,
+      ...list.meta,
+      data: list.docs,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching task activity",
+    });
+  }
+});
+
+// Get the global activity feed with filters (admin only)
+app.get("/api/activity", verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const { entityType, entity, action, actor, project, team, from, to } =
+      req.query;
+
+    const ids = { entity, actor, project, team };
+    const invalidParam = Object.keys(ids).find(
+      (key) => ids[key] && !mongoose.isValidObjectId(ids[key])
+    );
+    if (invalidParam) {
+      return res.status(400).json({
+        success: false,
+        message: `Please provide a valid ${invalidParam} ID`,
+      });
+    }
+
+    if ([from, to].some((date) => date && isNaN(new Date(date)))) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide valid from and to dates",
+      });
+    }
+
+    const filter = {};
+    if (entityType) filter.entityType = entityType;
+    if (entity) filter.entity = entity;
+    if (action) filter.action = action;
+    if (actor) filter.actor = actor;
+    if (project) filter.project = project;
+    if (team) filter.team = team;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const list = await findList(res, Activity, filter, req.query, {
+      sort: "-createdAt",
+      expands: { actor: "name email", project: "name", team: "name" },
+      defaultLimit: 50,
+    });
+    if (!list) return;
+
+    res.json({
+      success: true,
+      count: list.docs.length,
+      ...list.meta,
+      data: list.docs,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching activity",
+    });
+  }
+});
+
+// VIEW ROUTES
+
+// Query parameters of GET /api/tasks that a view can save
+const VIEW_FILTER_FIELDS = [
+  ...Object.keys(TASK_ID_FILTERS),
+  ...Object.keys(TASK_VALUE_FILTERS),
+  ...TASK_DATE_FILTERS.flatMap((field) => [`${field}From`, `${field}To`]),
+  "overdue",
+  "unassigned",
+  "tagMatch",
+];
+
+// Check the filters and sort of a view, returning an error message if invalid
+function validateViewQuery(filters, sort) {
+  if (
+    filters !== undefined &&
+    (typeof filters !== "object" || filters === null || Array.isArray(filters))
+  ) {
+    return "Filters must be an object";
+  }
+
+  for (const [field, value] of Object.entries(filters || {})) {
+    if (!VIEW_FILTER_FIELDS.includes(field)) {
+      return `Filters can only use: ${VIEW_FILTER_FIELDS.join(", ")}`;
+    }
+
+    const values = Array.isArray(value) ? value : [value];
+    if (!values.every((item) => typeof item === "string")) {
+      return `Filter "${field}" must be a string or a list of strings`;
+    }
+  }
+
+  if (sort !== undefined && !parseTaskSort(sort)) {
+    return `Sort must use these fields: ${TASK_SORT_FIELDS.join(", ")}`;
+  }
+
+  return null;
+}
+
+// Resolve relative tokens in a saved filter value: "me" is the current user,
+// "today", "today+N" and "today-N" are dates relative to the current day
+function resolveViewToken(req, value) {
+  if (Array.isArray(value)) {
+    return value.map((item) => resolveViewToken(req, item));
+  }
+
+  return value
+    .split(",")
+    .map((item) => {
+      if (item === "me" || item === "!me") {
+        return item.replace("me", req.user.id);
+      }
+
+      const today = /^today(?:([+-])(\d+))?$/.exec(item);
+      if (!today) return item;
+
+      const days = today[1] === "-" ? -today[2] : Number(today[2] || 0);
+      return moment().startOf("day").add(days, "days").format("YYYY-MM-DD");
+    })
+    .join(",");
+}
+
+// Load a view the current user may use, or send an error response
+async function findAccessibleView(req, res, viewId) {
+  const view =
+    mongoose.isValidObjectId(viewId) && (await View.findById(viewId));
+
+  if (!view) {
+    res.status(404).json({
+      success: false,
+      message: "View not found",
+    });
+    return null;
+  }
+
+  const isOwner = view.owner.toString() === req.user.id;
+  if (
+    !isOwner &&
+    req.user.role !== "admin" &&
+    !(view.team && (await canAccessTeam(req, view.team)))
+  ) {
+    res.status(403).json({
+      success: false,
+      message: "You don't have access to this view",
+    });
+    return null;
+  }
+
+  return view;
+}
+
+// Load a view the current user may change, or send an error response
+async function findEditableView(req, res, viewId) {
+  const view = await findAccessibleView(req, res, viewId);
+  if (!view) return null;
+
+  if (view.owner.toString() !== req.user.id && req.user.role !== "admin") {
+    res.status(403).json({
+      success: false,
+      message: "Only the owner of a view can change it",
+    });
+    return null;
+  }
+
+  return view;
+}
+
+// Get the current user's views and views shared with their teams
+app.get("/api/views", verifyToken, async (req, res) => {
+  try {
+    const teamIds = await getAccessibleTeamIds(req);
+    const filter = {
+      $or: [
+        { owner: req.user.id },
+        teamIds === null ? { team: { $ne: null } } : { team: { $in: teamIds } },
+      ],
+    };
+
+    const list = await findList(res, View, filter, req.query, {
+      sort: "name",
+      expands: { owner: "name email", team: "name" },
+      paginate: false,
+    });
+    if (!list) return;
+
+    res.json({
+      success: true,
+      count: list.docs.length,
+      ...list.meta,
+      data: list.docs,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching views",
+    });
+  }
+});
+
+// Get single view
+app.get("/api/views/:id", verifyToken, async (req, res) => {
+  try {
+    const view = await findAccessibleView(req, res, req.params.id);
+    if (!view) return;
+
+    await view.populate([
+      { path: "owner", select: "name email" },
+      { path: "team", select: "name" },
+    ]);
+
+    res.json({
+      success: true,
+      data: view,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching view",
+    });
+  }
+});
+
+// Check that a view can be shared with a team, returning an error response
+async function checkViewTeam(req, res, team) {
+  if (!team) return true;
+
+  if (!mongoose.isValidObjectId(team) || !(await canAccessTeam(req, team))) {
+    res.status(403).json({
+      success: false,
+      message: "You can only share views with your own teams",
+    });
+    return false;
+  }
+
+  return true;
+}
+
+// Create view
+app.post("/api/views", verifyToken, async (req, res) => {
+  try {
+    const { name, team, filters, sort } = req.body;
+
+    const queryError = validateViewQuery(filters, sort);
+    if (queryError) {
+      return res.status(400).json({
+        success: false,
+        message: queryError,
+      });
+    }
+
+    if (!(await checkViewTeam(req, res, team))) return;
+
+    const view = await View.create({
+      name,
+      team: team || undefined,
+      filters,
+      sort,
+      owner: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "View created successfully",
+      data: view,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error creating view",
+    });
+  }
+});
+
+// Update view
+app.put("/api/views/:id", verifyToken, async (req, res) => {
+  try {
+    const view = await findEditableView(req, res, req.params.id);
+    if (!view) return;
+
+    const { name, team, filters, sort } = req.body;
+
+    const queryError = validateViewQuery(filters, sort);
+    if (queryError) {
+      return res.status(400).json({
+        success: false,
+        message: queryError,
+      });
+    }
+
+    if (!(await checkViewTeam(req, res, team))) return;
+
+    if (name !== undefined) view.name = name;
+    // A null team stops sharing the view
+    if (team !== undefined) view.team = team || undefined;
+    if (filters !== undefined) view.filters = filters;
+    if (sort !== undefined) view.sort = sort;
+    await view.save();
+
+    res.json({
+      success: true,
+      message: "View updated successfully",
+      data: view,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Error updating view",
+    });
+  }
+});
+
+// Delete view
+app.delete("/api/views/:id", verifyToken, async (req, res) => {
+  try {
+    const view = await findEditableView(req, res, req.params.id);
+    if (!view) return;
+
+    await view.deleteOne();
+
+    res.json({
+      success: true,
+      message: "View deleted successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error deleting view",
+    });
+  }
+});
+
+// Get the tasks of a view with pagination
+app.get("/api/views/:id/tasks", verifyToken, async (req, res) => {
+  try {
+    const view = await findAccessibleView(req, res, req.params.id);
+    if (!view) return;
+
+    const filters = Object.fromEntries(
+      Object.entries(view.filters || {}).map(([field, value]) => [
+        field,
+        resolveViewToken(req, value),
+      ])
+    );
+
+    await sendTaskList(req, res, {
+      ...filters,
+      ...pick(req.query, ["page", "limit", "cursor", "fields", "expand"]),
+      sort: view.sort,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching tasks",
+    });
+  }
+});
+
+// SEARCH ROUTES
+
+// What each entity type is searched in, and how matches are shown
+const SEARCH_TYPES = {
+  task: {
+    model: Task,
+    fields: ["name", "description"],
+    project: { name: 1, description: 1, status: 1, project: 1, team: 1 },
+    scope: async (req) => ({ isActive: true, ...(await teamScope(req)) }),
+  },
+  project: {
+    model: Project,
+    fields: ["name", "description"],
+    project: { name: 1, description: 1, status: 1, team: 1 },
+    scope: async (req) => ({ isActive: true, ...(await teamScope(req)) }),
+  },
+  comment: {
+    model: Comment,
+    fields: ["body"],
+    project: {
+      body: 1,
+      author: 1,
+      createdAt: 1,
+      "task._id": 1,
+      "task.name": 1,
+    },
+    scope: async () => ({ isActive: true }),
+    // Comments are visible to whoever can access their task
+    stages: async (req) => [
+      {
+        $lookup: {
+          from: Task.collection.name,
+          localField: "task",
+          foreignField: "_id",
+          as: "task",
+        },
+      },
+      { $unwind: "$task" },
+      {
+        $match: {
+          "task.isActive": true,
+          ...(await teamScope(req, "task.team")),
+        },
+      },
+    ],
+    title: (comment) => comment.task.name,
+  },
+  team: {
+    model: Team,
+    fields: ["name", "description"],
+    project: { name: 1, description: 1 },
+    scope: async (req) => ({
+      isActive: true,
+      ...(await teamScope(req, "_id")),
+    }),
+  },
+  user: {
+    model: User,
+    fields: ["name", "username", "email"],
+    project: { name: 1, username: 1, email: 1 },
+    scope: async () => ({ isActive: true }),
+  },
+};
+
+// Escape text for use in a regular expression
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Words and phrases of a text search, leaving out excluded terms
+function getSearchTerms(q) {
+  return (q.match(/-?"[^"]*"|\S+/g) || [])
+    .filter((term) => !term.startsWith("-"))
+    .map((term) => term.replace(/"/g, "").trim())
+    .filter(Boolean);
+}
+
+// Rough stem of a search word, the part the other forms of the word start
+// with. Text indexes match on stems, so highlights have to as well.
+function stemTerm(term) {
+  const word = term.toLowerCase();
+  const suffix = [
+    "ations",
+    "ation",
+    "ments",
+    "ment",
+    "ings",
+    "ing",
+    "ies",
+    "ied",
+    "ed",
+    "ly",
+    "es",
+    "e",
+    "s",
+    "y",
+  ].find((ending) => word.endsWith(ending) && word.length - ending.length >= 3);
+  if (!suffix) return word;
+
+  let stem = word.slice(0, -suffix.length);
+  // Doubled consonants belong to the suffix, as in "running"
+  if (/([^aeiouls])\1$/.test(stem)) stem = stem.slice(0, -1);
+
+  return stem;
+}
+
+// Snippet of the first field containing a search term, with the positions
+// of the matches in the snippet so clients can highlight them. Words match
+// any form with the same stem, phrases match as written.
+function highlightMatch(doc, fields, terms, radius = 60) {
+  const pattern = new RegExp(
+    terms
+      .map((term) =>
+        /\s/.test(term)
+          ? `\\b${escapeRegExp(term)}`
+          : `\\b${escapeRegExp(stemTerm(term))}\\w*`
+      )
+      .join("|"),
+    "gi"
+  );
+
+  for (const field of fields) {
+    const text = doc[field];
+    if (!text) continue;
+
+    const first = text.search(pattern);
+    if (first === -1) continue;
+
+    const start = Math.max(first - radius, 0);
+    const end = Math.min(first + radius * 2, text.length);
+    const prefix = start > 0 ? "…" : "";
+    const snippet =
+      prefix + text.slice(start, end) + (end < text.length ? "…" : "");
+    const matches = [...text.slice(start, end).matchAll(pattern)].map(
+      (match) => ({
+        start: prefix.length + match.index,
+        end: prefix.length + match.index + match[0].length,
+      })
+    );
+
+    return { field, snippet, matches };
+  }
+
+  return null;
+}
+
+// Search tasks, projects, comments, teams and users
+app.get("/api/search", verifyToken, async (req, res) => {
+  try {
+    const { q, type } = req.query;
+
+    if (typeof q !== "string" || !q.trim() || q.length > 200) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a search query of at most 200 characters",
+      });
+    }
+
+    const types = type ? String(type).split(",") : Object.keys(SEARCH_TYPES);
+    const unknownType = types.find(
+      (name) => !Object.prototype.hasOwnProperty.call(SEARCH_TYPES, name)
+    );
+    if (unknownType) {
+      return res.status(400).json({
+        success: false,
+        message: `Type must be one of: ${Object.keys(SEARCH_TYPES).join(", ")}`,
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+    const terms = getSearchTerms(q);
+
+    // Text indexes rank each collection, results are merged by score
+    const resultsByType = await Promise.all(
+      types.map(async (name) => {
+        const searchType = SEARCH_TYPES[name];
+        const docs = await searchType.model.aggregate([
+          {
+            $match: {
+              $text: { $search: q },
+              ...(await searchType.scope(req)),
+            },
+          },
+          { $addFields: { score: { $meta: "textScore" } } },
+          ...(searchType.stages ? await searchType.stages(req) : []),
+          { $sort: { score: -1 } },
+          { $limit: limit },
+          { $project: { ...searchType.project, score: 1 } },
+        ]);
+
+        return docs.map((doc) => ({
+          type: name,
+          id: doc._id,
+          title: searchType.title ? searchType.title(doc) : doc.name,
+          score: doc.score,
+          highlight: highlightMatch(doc, searchType.fields, terms),
+          data: doc,
+        }));
+      })
+    );
+
+    const results = resultsByType
+      .flat()
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+
+    res.json({
+      success: true,
+      count: results.length,
+      data: results,
+    });
+  } catch (error) {
+    console.error("Error searching:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error searching",
+    });
+  }
+});
+
+// TEAM ROUTES
+
+// Get teams
+app.get("/api/teams", verifyToken, async (req, res) => {
+  try {
+    const list = await findList(
+      res,
+      Team,
+      { isActive: true, ...(await teamScope(req, "_id")) },
+      req.query,
+      {
+        sort: "name",
+        expands: { members: "name email", leads: "name email" },
+        paginate: false,
+      }
+    );
+    if (!list) return;
+
+    res.json({
+      success: true,
+      count: list.docs.length,
+      ...list.meta,
+      data: list.docs,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching teams",
+    });
+  }
+});
+
+// Get single team with task counts
+app.get("/api/teams/:id", verifyToken, async (req, res) => {
+  try {
+    const team =
+      mongoose.isValidObjectId(req.params.id) &&
+      (await Team.findById(req.params.id)
+        .populate("members", "name email")
+        .populate("leads", "name email"));
+
+    if (!team || !team.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: "Team not found",
+      });
+    }
+
+    if (!(await canAccessTeam(req, team._id))) {
+      return res.status(403).json({
+        success: false,
+        message: "You are not a member of this team",
+      });
+    }
+
+    const statusCounts = await Task.aggregate([
+      { $match: { team: team._id, isActive: true } },
+      { $group: { _id: "$status", count: { $sum: 1 } } },
+    ]);
+
+    const taskCounts = { total: 0, byStatus: {} };
+    statusCounts.forEach(({ _id, count }) => {
+      taskCounts.byStatus[_id] = count;
+      taskCounts.total += count;
+    });
+
+    res.json({
+      success: true,
+      data: { ...team.toObject(), taskCounts },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching team",
+    });
+  }
+});
+
+// Check whether the current user may manage a team
+function canManageTeam(req, team) {
+  return (
+    req.user.role === "admin" ||
+    team.leads.some((lead) => idOf(lead) === req.user.id)
+  );
+}
+
+// Admins and leads of a project's team may change how the project works
+async function canManageProject(req, project) {
+  if (req.user.role === "admin") return true;
+
+  const team =
+    project.team && (await Team.findById(project.team).select("leads"));
+  return !!team && canManageTeam(req, team);
+}
+
+// Return the IDs that don't belong to an active user
+async function findInvalidUserIds(userIds) {
+  const ids = [...new Set(userIds.map((id) => id.toString()))];
+  const users = await User.find({
+    _id: { $in: ids.filter((id) => mongoose.isValidObjectId(id)) },
+    isActive: true,
+  }).select("_id");
+  const activeIds = users.map((user) => user._id.toString());
+
+  return ids.filter((id) => !activeIds.includes(id));
+}
+
+// Team validation
+const teamValidation = [
+  body("name")
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Team name must be between 1 and 50 characters"),
+  body("members")
+    .optional()
+    .isArray()
+    .withMessage("Members must be an array of user IDs"),
+  body("members.*").isMongoId().withMessage("Please provide valid user IDs"),
+  body("leads")
+    .optional()
+    .isArray()
+    .withMessage("Leads must be an array of user IDs"),
+  body("leads.*").isMongoId().withMessage("Please provide valid user IDs"),
+];
+
+// Create team
+app.post(
+  "/api/teams",
+  verifyToken,
+  requireAdmin,
+  teamValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const { name, description, members = [], leads = [] } = req.body;
+
+      const invalidIds = await findInvalidUserIds([...members, ...leads]);
+      if (invalidIds.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Members must be active users",
+          invalidIds,
+        });
+      }
+
+      // Leads are always members too
+      const team = await Team.create({
+        name,
+        description,
+        members: [...new Set([...members, ...leads])],
+        leads: [...new Set(leads)],
+      });
+      await recordActivity(
+        req,
+        "team",
+        team,
+        "created",
+        diffFields("team", {}, team)
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Team created successfully",
+        data: team,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: "Team name already exists",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Error creating team",
+      });
+    }
+  }
+);
+
+// Team update validation
+const teamUpdateValidation = [
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Team name must be between 1 and 50 characters"),
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Description cannot exceed 200 characters"),
+];
+
+// Update team details (admins and team leads)
+app.put(
+  "/api/teams/:id",
+  verifyToken,
+  teamUpdateValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const team =
+        mongoose.isValidObjectId(req.params.id) &&
+        (await Team.findById(req.params.id));
+
+      if (!team || !team.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: "Team not found",
+        });
+      }
+
+      if (!canManageTeam(req, team)) {
+        return res.status(403).json({
+          success: false,
+          message: "Only admins and team leads can update this team",
+        });
+      }
+
+      const before = team.toObject();
+
+      // Membership is managed through the members routes
+      const { name, description } = req.body;
+      if (name !== undefined) team.name = name;
+      if (description !== undefined) team.description = description;
+      await team.save();
+      await recordUpdate(req, "team", before, team);
+
+      res.json({
+        success: true,
+        message: "Team updated successfully",
+        data: team,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: "Team name already exists",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Error updating team",
+      });
+    }
+  }
+);
+
+// Archive team (admin only)
+app.delete("/api/teams/:id", verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const team =
+      mongoose.isValidObjectId(req.params.id) &&
+      (await Team.findById(req.params.id));
+
+    if (!team || !team.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: "Team not found",
+      });
+    }
+
+    const openTaskFilter = {
+      team: team._id,
+      isActive: true,
+      ...OPEN_TASK_FILTER,
+    };
+    const openTasks = await Task.countDocuments(openTaskFilter);
+    const reassignTo = req.body?.reassignTo || req.query.reassignTo;
+
+    // Open tasks must move to another team before archiving
+    if (openTasks > 0 && !reassignTo) {
+      return res.status(409).json({
+        success: false,
+        message: "Team has open tasks, provide reassignTo with another team ID",
+        openTasks,
+      });
+    }
+
+    const targetTeam =
+      reassignTo &&
+      mongoose.isValidObjectId(reassignTo) &&
+      idOf(reassignTo) !== team._id.toString() &&
+      (await Team.findOne({ _id: reassignTo, isActive: true }));
+
+    if (reassignTo && !targetTeam) {
+      return res.status(400).json({
+        success: false,
+        message: "reassignTo must be another active team",
+      });
+    }
+
+    // Projects move to the new team with the open tasks, or are closed
+    const projects = await Project.find({
+      team: team._id,
+      isActive: true,
+      ...(targetTeam ? {} : { status: { $ne: "completed" } }),
+    });
+    for (const project of projects) {
+      const before = project.toObject();
+      if (targetTeam) {
+        project.team = targetTeam._id;
+      } else {
+        project.status = "completed";
+      }
+      await project.save();
+      await recordUpdate(req, "project", before, project);
+    }
+
+    // Open tasks move, and so does every task of the moved projects so
+    // that tasks stay in the team of their project
+    let reassignedTasks = [];
+    if (targetTeam) {
+      const movedTaskFilter = {
+        team: team._id,
+        $or: [
+          openTaskFilter,
+          { project: { $in: projects.map((project) => project._id) } },
+        ],
+      };
+      reassignedTasks = await Task.find(movedTaskFilter).select(
+        "_id project team"
+      );
+      await Task.updateMany(movedTaskFilter, { team: targetTeam._id });
+
+      reassignedTasks.forEach((task) => (task.team = targetTeam._id));
+      await recordTaskUpdates(req, reassignedTasks, () => [
+        { field: "team", from: idOf(team), to: idOf(targetTeam) },
+      ]);
+    }
+
+    team.isActive = false;
+    await team.save();
+    await recordActivity(req, "team", team, "deleted", [
+      { field: "isActive", from: true, to: false },
+    ]);
+
+    res.json({
+      success: true,
+      message: "Team archived successfully",
+      reassignedTasks: reassignedTasks.length,
+      reassignedProjects: targetTeam ? projects.length : 0,
+      closedProjects: targetTeam ? 0 : projects.length,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error archiving team",
+    });
+  }
+});
+
+// Add a member to a team or change their role
+app.post("/api/teams/:id/members/:userId", verifyToken, async (req, res) => {
+  try {
+    const { role = "member" } = req.body || {};
+
+    if (!["member", "lead"].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: "Role must be either member or lead",
+      });
+    }
+
+    const team =
+      mongoose.isValidObjectId(req.params.id) &&
+      (await Team.findById(req.params.id));
+
+    if (!team || !team.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: "Team not found",
+      });
+    }
+
+    if (!canManageTeam(req, team)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only admins and team leads can manage members",
+      });
+    }
+
+    const invalidIds = await findInvalidUserIds([req.params.userId]);
+    if (invalidIds.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Members must be active users",
+        invalidIds,
+      });
+    }
+
+    const update =
+      role === "lead"
+        ? {
+            $addToSet: {
+              members: req.params.userId,
+              leads: req.params.userId,
+            },
+          }
+        : {
+            $addToSet: { members: req.params.userId },
+            $pull: { leads: req.params.userId },
+          };
+
+    const updatedTeam = await Team.findByIdAndUpdate(team._id, update, {
+      new: true,
+    })
+      .populate("members", "name email")
+      .populate("leads", "name email");
+    await recordUpdate(req, "team", team.toObject(), updatedTeam);
+
+    res.json({
+      success: true,
+      message: "Team member saved successfully",
+      data: updatedTeam,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error adding team member",
+    });
+  }
+});
+
+// Remove a member from a team
+app.delete("/api/teams/:id/members/:userId", verifyToken, async (req, res) => {
+  try {
+    const team =
+      mongoose.isValidObjectId(req.params.id) &&
+      (await Team.findById(req.params.id));
+
+    if (!team || !team.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: "Team not found",
+      });
+    }
+
+    if (!canManageTeam(req, team)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only admins and team leads can manage members",
+      });
+    }
+
+    if (!team.members.some((member) => idOf(member) === req.params.userId)) {
+      return res.status(404).json({
+        success: false,
+        message: "User is not a member of this team",
+      });
+    }
+
+    const updatedTeam = await Team.findByIdAndUpdate(
+      team._id,
+      { $pull: { members: req.params.userId, leads: req.params.userId } },
+      { new: true }
+    )
+      .populate("members", "name email")
+      .populate("leads", "name email");
+    await recordUpdate(req, "team", team.toObject(), updatedTeam);
+
+    res.json({
+      success: true,
+      message: "Team member removed successfully",
+      data: updatedTeam,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error removing team member",
+    });
+  }
+});
+
+// PROJECT ROUTES
+
+// Allowed project status changes
+const PROJECT_STATUS_TRANSITIONS = {
+  planning: ["active", "on-hold"],
+  active: ["on-hold", "completed"],
+  "on-hold": ["planning", "active"],
+  completed: ["active"],
+};
+
+// Task progress of a project by count and by estimated days
+async function getProjectProgress(projectId) {
+  const stats = await Task.aggregate([
+    { $match: { project: projectId, isActive: true } },
+    {
+      $group: {
+        _id: { $ne: [{ $ifNull: ["$completedAt", null] }, null] },
+        count: { $sum: 1 },
+        days: { $sum: "$timeToComplete" },
+      },
+    },
+  ]);
+
+  const completed = stats.find((stat) => stat._id === true) || {};
+  const open = stats.find((stat) => stat._id === false) || {};
+
+  const completedTasks = completed.count || 0;
+  const openTasks = open.count || 0;
+  const completedDays = completed.days || 0;
+  const totalDays = completedDays + (open.days || 0);
+  const totalTasks = completedTasks + openTasks;
+
+  return {
+    totalTasks,
+    completedTasks,
+    openTasks,
+    totalDays,
+    completedDays,
+    percentByCount:
+      totalTasks > 0
+        ? Math.round((completedTasks / totalTasks) * 1000) / 10
+        : 0,
+    percentByTime:
+      totalDays > 0 ? Math.round((completedDays / totalDays) * 1000) / 10 : 0,
+  };
+}
+
+// Get projects
+app.get("/api/projects", verifyToken, async (req, res) => {
+  try {
+    const { team, status } = req.query;
+
+    const filter = { isActive: true };
+
+    if (team) {
+      if (!mongoose.isValidObjectId(team)) {
+        return res.status(400).json({
+          success: false,
+          message: "Please provide a valid team ID",
+        });
+      }
+
+      if (!(await canAccessTeam(req, team))) {
+        return res.status(403).json({
+          success: false,
+          message: "You are not a member of this team",
+        });
+      }
+      filter.team = team;
+    } else {
+      Object.assign(filter, await teamScope(req));
+    }
+    if (status) {
+      const statusArray = Array.isArray(status) ? status : status.split(",");
+      filter.status = { $in: statusArray };
+    }
+
+    const list = await findList(res, Project, filter, req.query, {
+      sort: "-createdAt",
+      expands: { team: "name description" },
+      paginate: false,
+    });
+    if (!list) return;
+
+    res.json({
+      success: true,
+      count: list.docs.length,
+      ...list.meta,
+      data: list.docs,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching projects",
+    });
+  }
+});
+
+// Get single project with task progress
+app.get("/api/projects/:id", verifyToken, async (req, res) => {
+  try {
+    const project =
+      mongoose.isValidObjectId(req.params.id) &&
+      (await Project.findById(req.params.id).populate(
+        "team",
+        "name description"
+      ));
+
+    if (!project || !project.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      });
+    }
+
+    if (!(await canAccessProject(req, project))) {
+      return res.status(403).json({
+        success: false,
+        message: "You don't have access to this project",
+      });
+    }
+
+    const progress = await getProjectProgress(project._id);
+
+    res.json({
+      success: true,
+      data: {
+        ...project.toObject(),
+        workflow: project.getWorkflow(),
+        progress,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching project",
+    });
+  }
+});
+
+// Project validation
+const projectValidation = [
+  body("name")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Project name must be between 1 and 100 characters"),
+];
+
+// Project fields shared by create and update
+const projectFieldValidation = [
+  body("team")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Please provide a valid team ID"),
+  body("status")
+    .optional()
+    .isIn(Object.keys(PROJECT_STATUS_TRANSITIONS))
+    .withMessage("Please provide a valid project status"),
+  body("startDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Please provide a valid start date"),
+  body("endDate")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Please provide a valid end date"),
+];
+
+// Create project
+app.post(
+  "/api/projects",
+  verifyToken,
+  projectValidation,
+  projectFieldValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const fields = pick(req.body, [
+        "name",
+        "description",
+        "team",
+        "status",
+        "startDate",
+        "endDate",
+        "workflow",
+      ]);
+
+      // Regular users can only create projects for their own teams
+      if (req.user.role !== "admin") {
+        if (!fields.team) {
+          return res.status(403).json({
+            success: false,
+            message: "Projects must belong to one of your teams",
+          });
+        }
+
+        if (!(await canAccessTeam(req, fields.team))) {
+          return res.status(403).json({
+            success: false,
+            message: "You are not a member of this team",
+          });
+        }
+      }
+
+      if (fields.workflow) {
+        fields.workflow = normalizeWorkflow(fields.workflow);
+        const workflowError = validateWorkflow(fields.workflow);
+        if (workflowError) {
+          return res.status(400).json({
+            success: false,
+            message: workflowError,
+          });
+        }
+      }
+
+      const project = await Project.create(fields);
+      await recordActivity(
+        req,
+        "project",
+        project,
+        "created",
+        diffFields("project", {}, project)
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Project created successfully",
+        data: project,
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: "Project name already exists",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Error creating project",
+      });
+    }
+  }
+);
+
+// Project update validation
+const projectUpdateValidation = [
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Project name must be between 1 and 100 characters"),
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Description cannot exceed 500 characters"),
+];
+
+// Update project
+app.put(
+  "/api/projects/:id",
+  verifyToken,
+  projectUpdateValidation,
+  projectFieldValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const project =
+        mongoose.isValidObjectId(req.params.id) &&
+        (await Project.findById(req.params.id));
+
+      if (!project || !project.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: "Project not found",
+        });
+      }
+
+      if (!(await canAccessProject(req, project))) {
+        return res.status(403).json({
+          success: false,
+          message: "You don't have access to this project",
+        });
+      }
+
+      const { name, description, team, status, startDate, endDate, force } =
+        req.body;
+
+      if (team !== undefined && idOf(team) !== idOf(project.team)) {
+        if (!team && req.user.role !== "admin") {
+          return res.status(403).json({
+            success: false,
+            message: "Projects must belong to one of your teams",
+          });
+        }
+
+        if (team && !(await canAccessTeam(req, team))) {
+          return res.status(403).json({
+            success: false,
+            message: "You can only move projects to your own teams",
+          });
+        }
+      }
+
+      if (status && status !== project.status) {
+        if (!PROJECT_STATUS_TRANSITIONS[project.status].includes(status)) {
+          return res.status(400).json({
+            success: false,
+            message: `Cannot change project status from ${project.status} to ${status}`,
+          });
+        }
+
+        // Completing a project with open tasks has to be forced
+        if (status === "completed" && force !== true) {
+          const { openTasks } = await getProjectProgress(project._id);
+          if (openTasks > 0) {
+            return res.status(409).json({
+              success: false,
+              message:
+                "Project still has open tasks, set force to complete it anyway",
+              openTasks,
+            });
+          }
+        }
+      }
+
+      const before = project.toObject();
+
+      if (name !== undefined) project.name = name;
+      if (description !== undefined) project.description = description;
+      if (team !== undefined) project.team = team || undefined;
+      if (status !== undefined) project.status = status;
+      if (startDate !== undefined) project.startDate = startDate;
+      if (endDate !== undefined) project.endDate = endDate || undefined;
+
+      // The schema only validates endDate when it changes
+      if (project.endDate && project.endDate < project.startDate) {
+        return res.status(400).json({
+          success: false,
+          message: "End date cannot be before the start date",
+        });
+      }
+
+      await project.save();
+      await recordUpdate(req, "project", before, project);
+
+      // Tasks follow their project to the new team
+      if (project.team && idOf(project.team) !== idOf(before.team)) {
+        const movedTaskFilter = {
+          project: project._id,
+          team: { $ne: project.team },
+        };
+        const movedTasks = await Task.find(movedTaskFilter).select(
+          "_id project team"
+        );
+        await Task.updateMany(movedTaskFilter, { team: project.team });
+
+        const previousTeams = new Map(
+          movedTasks.map((task) => [idOf(task), idOf(task.team)])
+        );
+        movedTasks.forEach((task) => (task.team = project.team));
+        await recordTaskUpdates(req, movedTasks, (task) => [
+          {
+            field: "team",
+            from: previousTeams.get(idOf(task)),
+            to: idOf(project.team),
+          },
+        ]);
+      }
+
+      await project.populate("team", "name description");
+
+      res.json({
+        success: true,
+        message: "Project updated successfully",
+        data: project,
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: "Project name already exists",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Error updating project",
+      });
+    }
+  }
+);
+
+// Trim a workflow definition and accept plain strings as statuses
+function normalizeWorkflow({
+  statuses,
+  transitions = [],
+  doneStatuses,
+  blockedStatus,
+}) {
+  const trim = (value) => (typeof value === "string" ? value.trim() : value);
+
+  return {
+    statuses: Array.isArray(statuses)
+      ? statuses.map((status) => ({
+          name: trim(typeof status === "string" ? status : status?.name),
+          wipLimit: status?.wipLimit || undefined,
+        }))
+      : statuses,
+    transitions: Array.isArray(transitions)
+      ? transitions.map((transition) => ({
+          from: trim(transition?.from),
+          to: trim(transition?.to),
+        }))
+      : transitions,
+    doneStatuses: Array.isArray(doneStatuses)
+      ? doneStatuses.map(trim)
+      : doneStatuses,
+    blockedStatus: trim(blockedStatus) || undefined,
+  };
+}
+
+// Check a normalized workflow, returning an error message if it is invalid
+function validateWorkflow({
+  statuses,
+  transitions,
+  doneStatuses,
+  blockedStatus,
+}) {
+  if (!Array.isArray(statuses) || statuses.length === 0) {
+    return "Workflow needs at least one status";
+  }
+
+  const names = statuses.map((status) => status.name);
+  if (
+    names.some((name) => typeof name !== "string" || !name || name.length > 30)
+  ) {
+    return "Status names must be between 1 and 30 characters";
+  }
+  if (new Set(names).size !== names.length) {
+    return "Status names must be unique";
+  }
+
+  if (
+    statuses.some(
+      ({ wipLimit }) =>
+        wipLimit !== undefined && !(Number.isInteger(wipLimit) && wipLimit >= 1)
+    )
+  ) {
+    return "WIP limits must be whole numbers of at least 1";
+  }
+
+  if (
+    !Array.isArray(transitions) ||
+    transitions.some(
+      ({ from, to }) => !names.includes(from) || !names.includes(to)
+    )
+  ) {
+    return "Transitions can only use statuses of the workflow";
+  }
+
+  if (
+    !Array.isArray(doneStatuses) ||
+    doneStatuses.length === 0 ||
+    doneStatuses.some((status) => !names.includes(status))
+  ) {
+    return "Done statuses must be one or more statuses of the workflow";
+  }
+
+  // New tasks start in the first status
+  if (doneStatuses.includes(names[0])) {
+    return "The first status can't be a done status";
+  }
+
+  if (
+    blockedStatus &&
+    (!names.includes(blockedStatus) || doneStatuses.includes(blockedStatus))
+  ) {
+    return "Blocked status must be an open status of the workflow";
+  }
+
+  return null;
+}
+
+// Get the workflow of a project
+app.get("/api/projects/:id/workflow", verifyToken, async (req, res) => {
+  try {
+    const project = await findAccessibleProject(req, res, req.params.id);
+    if (!project) return;
+
+    res.json({
+      success: true,
+      data: project.getWorkflow(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching workflow",
+    });
+  }
+});
+
+// Replace the workflow of a project (admins and team leads)
+app.put("/api/projects/:id/workflow", verifyToken, async (req, res) => {
+  try {
+    const project = await findAccessibleProject(req, res, req.params.id);
+    if (!project) return;
+
+    if (!(await canManageProject(req, project))) {
+      return res.status(403).json({
+        success: false,
+        message: "Only admins and team leads can change the workflow",
+      });
+    }
+
+    const workflow = normalizeWorkflow(req.body);
+    const workflowError = validateWorkflow(workflow);
+    if (workflowError) {
+      return res.status(400).json({
+        success: false,
+        message: workflowError,
+      });
+    }
+
+    // Tasks in removed statuses have to be mapped to new ones
+    const names = workflow.statuses.map((status) => status.name);
+    const statusMap = req.body.statusMap || {};
+    const usedStatuses = await Task.distinct("status", {
+      project: project._id,
+      isActive: true,
+    });
+    const unmapped = usedStatuses.filter(
+      (status) => !names.includes(status) && !names.includes(statusMap[status])
+    );
+    if (unmapped.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "Some tasks use statuses missing from the workflow, map them with statusMap",
+        statuses: unmapped,
+      });
+    }
+
+    const before = project.toObject();
+    project.workflow = workflow;
+    await project.save();
+    await recordUpdate(req, "project", before, project);
+
+    // Tasks in removed statuses move to their mapped status, and completion
+    // follows the new done statuses. Each task is saved on its own so the
+    // change shows in its activity and reports.
+    const changedTasks = await Task.find({
+      project: project._id,
+      $or: [
+        { status: { $nin: names } },
+        { status: { $in: workflow.doneStatuses }, completedAt: null },
+        { status: { $nin: workflow.doneStatuses }, completedAt: { $ne: null } },
+      ],
+    });
+    for (const task of changedTasks) {
+      const taskBefore = task.toObject();
+
+      // Deleted tasks weren't checked for unmapped statuses
+      if (!names.includes(task.status)) {
+        if (!names.includes(statusMap[task.status])) continue;
+        task.status = statusMap[task.status];
+      }
+
+      // Status changes update completedAt through the model hook. Tasks
+      // already in a status that became done have been done since their last
+      // update at the latest.
+      if (!task.isModified("status")) {
+        const done = workflow.doneStatuses.includes(task.status);
+        task.completedAt = done ? task.updatedAt : undefined;
+      }
+
+      await task.save();
+      await recordUpdate(req, "task", taskBefore, task);
+      if (!taskBefore.completedAt !== !task.completedAt) {
+        await syncDependents(req, task);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: "Workflow updated successfully",
+      data: project.getWorkflow(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error updating workflow",
+    });
+  }
+});
+
+// Delete project (soft delete)
+app.delete("/api/projects/:id", verifyToken, async (req, res) => {
+  try {
+    const project =
+      mongoose.isValidObjectId(req.params.id) &&
+      (await Project.findById(req.params.id));
+
+    if (!project || !project.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      });
+    }
+
+    if (!(await canAccessProject(req, project))) {
+      return res.status(403).json({
+        success: false,
+        message: "You don't have access to this project",
+      });
+    }
+
+    const { openTasks } = await getProjectProgress(project._id);
+    if (openTasks > 0 && req.query.force !== "true") {
+      return res.status(409).json({
+        success: false,
+        message: "Project still has open tasks, use force=true to delete it",
+        openTasks,
+      });
+    }
+
+    project.isActive = false;
+    await project.save();
+    await recordActivity(req, "project", project, "deleted", [
+      { field: "isActive", from: true, to: false },
+    ]);
+
+    // Tasks are deleted with their project
+    const tasks = await Task.find({ project: project._id, isActive: true });
+    for (const task of tasks) {
+      await deleteTask(req, task);
+    }
+
+    res.json({
+      success: true,
+      message: "Project deleted successfully",
+      deletedTasks: tasks.length,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error deleting project",
+    });
+  }
+});
+
+// TAG ROUTES
+
+// Get tags
+app.get("/api/tags", verifyToken, async (req, res) => {
+  try {
+    const list = await findList(res, Tag, { isActive: true }, req.query, {
+      sort: "name",
+      paginate: false,
+    });
+    if (!list) return;
+    const tags = list.docs;
+
+    if (req.query.includeUsage !== "true") {
+      return res.json({
+        success: true,
+        count: tags.length,
+        ...list.meta,
+        data: tags,
+      });
+    }
+
+    // Count active tasks (visible to the user) using each tag
+    const usage = await Task.aggregate([
+      { $match: { isActive: true, ...(await teamScope(req)) } },
+      { $unwind: "$tags" },
+      { $group: { _id: "$tags", taskCount: { $sum: 1 } } },
+    ]);
+    const usageByTag = Object.fromEntries(
+      usage.map(({ _id, taskCount }) => [_id.toString(), taskCount])
+    );
+
+    res.json({
+      success: true,
+      count: tags.length,
+      ...list.meta,
+      data: tags.map((tag) => ({
+        ...tag.toObject(),
+        taskCount: usageByTag[tag._id.toString()] || 0,
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Error fetching tags",
+    });
+  }
+});
+
+// Tag validation
+const tagValidation = [
+  body("name")
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage("Tag name must be between 1 and 30 characters"),
+  body("color")
+    .optional()
+    .matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/)
+    .withMessage("Please enter a valid hex color"),
+];
+
+// Create tag
+app.post(
+  "/api/tags",
+  verifyToken,
+  requireAdmin,
+  tagValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      // Check duplicate
+      const existingTag = await Tag.findOne({
+        name: req.body.name.toLowerCase(),
+        isActive: true,
+      });
+
+      if (existingTag) {
+        return res.status(409).json({
+          success: false,
+          message: "Tag already exists",
+          data: existingTag,
+        });
+      }
+
+      // Random color if not provided
+      const colors = [
+        "#3b82f6",
+        "#ef4444",
+        "#10b981",
+        "#f59e0b",
+        "#8b5cf6",
+        "#06b6d4",
+        "#84cc16",
+        "#f97316",
+        "#ec4899",
+        "#6366f1",
+        "#14b8a6",
+        "#eab308",
+      ];
+
+      const tagData = {
+        name: req.body.name.toLowerCase(),
+        color:
+          req.body.color || colors[Math.floor(Math.random() * colors.length)],
+      };
+
+      const tag = await Tag.create(tagData);
+
+      res.status(201).json({
+        success: true,
+        message: "Tag created successfully",
+        data: tag,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: "Tag already exists",
+        });
+      }
+
+      console.error("Error creating tag:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error creating tag",
+      });
+    }
+  }
+);
+
+// Tag update validation
+const tagUpdateValidation = [
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage("Tag name must be between 1 and 30 characters"),
+  body("color")
+    .optional()
+    .matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/)
+    .withMessage("Please enter a valid hex color"),
+];
+
+// Rename or recolor tag (admin only)
+app.put(
+  "/api/tags/:id",
+  verifyToken,
+  requireAdmin,
+  tagUpdateValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const tag =
+        mongoose.isValidObjectId(req.params.id) &&
+        (await Tag.findById(req.params.id));
+
+      if (!tag || !tag.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: "Tag not found",
+        });
+      }
+
+      if (req.body.name !== undefined) tag.name = req.body.name.toLowerCase();
+      if (req.body.color !== undefined) tag.color = req.body.color;
+
+      await tag.save();
+
+      res.json({
+        success: true,
+        message: "Tag updated successfully",
+        data: tag,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: "Tag already exists",
+        });
+      }
+
+      console.error("Error updating tag:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error updating tag",
+      });
+    }
+  }
+);
+
+// Merge a tag into another one (admin only)
+app.post(
+  "/api/tags/:id/merge",
+  verifyToken,
+  requireAdmin,
+  body("into").isMongoId().withMessage("Please provide a valid tag ID"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      if (req.params.id === req.body.into) {
+        return res.status(400).json({
+          success: false,
+          message: "A tag cannot be merged into itself",
+        });
+      }
+
+      const [source, target] = mongoose.isValidObjectId(req.params.id)
+        ? await Promise.all([
+            Tag.findOne({ _id: req.params.id, isActive: true }),
+            Tag.findOne({ _id: req.body.into, isActive: true }),
+          ])
+        : [];
+
+      if (!source || !target) {
+        return res.status(404).json({
+          success: false,
+          message: "Tag not found",
+        });
+      }
+
+      const taggedTasks = await Task.find({ tags: source._id }).select(
+        "project team tags"
+      );
+
+      // Swap the tag in a single update per task, without duplicates
+      const result = await Task.updateMany({ tags: source._id }, [
+        {
+          $set: {
+            tags: {
+              $setUnion: [
+                { $setDifference: ["$tags", [source._id]] },
+                [target._id],
+              ],
+            },
+          },
+        },
+      ]);
+
+      await recordTaskUpdates(req, taggedTasks, (task) => {
+        const from = task.tags.map(idOf);
+        const to = from.filter((id) => id !== idOf(source));
+        if (!to.includes(idOf(target))) to.push(idOf(target));
+        return [{ field: "tags", from, to }];
+      });
+
+      // Remove the merged tag for good so its name can be reused
+      await Tag.deleteOne({ _id: source._id });
+
+      res.json({
+        success: true,
+        message: `Tag "${source.name}" merged into "${target.name}"`,
+        data: target,
+        updatedTasks: result.modifiedCount,
+      });
+    } catch (error) {
+      console.error("Error merging tags:", error);
+      res.status(500).json({
+        success: false,
+        message: "Error merging tags",
+      });
+    }
+  }
+);
+
+// Delete tag (admin only)
+app.delete("/api/tags/:id", verifyToken, requireAdmin, async (req, res) => {
+  try {
+    const tag =
+      mongoose.isValidObjectId(req.params.id) &&
+      (await Tag.findById(req.params.id));
+
+    if (!tag || !tag.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: "Tag not found",
+      });
+    }
+
+    // Tags in use are only removed from their tasks when cascading
+    const taskCount = await Task.countDocuments({
+      tags: tag._id,
+      isActive: true,
+    });
+    if (taskCount > 0 && req.query.cascade !== "true") {
+      return res.status(409).json({
+        success: false,
+        message: "Tag is used by active tasks, use cascade=true to remove it",
+        taskCount,
+      });
+    }
+
+    const taggedTasks = await Task.find({ tags: tag._id }).select(
+      "project team tags"
+    );
+    const result = await Task.updateMany(
+      { tags: tag._id },
+      { $pull: { tags: tag._id } }
+    );
+    await recordTaskUpdates(req, taggedTasks, (task) => {
+      const from = task.tags.map(idOf);
+      return [
+        { field: "tags", from, to: from.filter((id) => id !== idOf(tag)) },
+      ];
+    });
+    await Tag.deleteOne({ _id: tag._id });
+
+    res.json({
+      success: true,
+      message: "Tag deleted successfully",
+      updatedTasks: result.modifiedCount,
+    });
+  } catch (error) {
+    console.error("Error deleting tag:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error deleting tag",
+    });
+  }
+});
+
+// EXPORT HELPERS
+
+// Formats lists and reports can be exported in, besides the default JSON
+const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  xlsx: {
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  },
+  ndjson: { contentType: "application/x-ndjson", extension: "ndjson" },
+};
+
+// Columns of exported tasks
+const TASK_EXPORT_COLUMNS = [
+  "id",
+  "name",
+  "description",
+  "status",
+  "priority",
+  "project",
+  "team",
+  "owners",
+  "tags",
+  "timeToComplete",
+  "dueDate",
+  "completedAt",
+  "createdBy",
+  "createdAt",
+  "updatedAt",
+];
+
+// References of exported tasks, loaded so that they export as names
+const TASK_EXPORT_POPULATE = [
+  "project",
+  "team",
+  "owners",
+  "tags",
+  "createdBy",
+].map((path) => ({ path, select: "name" }));
+
+// Format requested with ?format= or the Accept header, "json" by default.
+// Sends an error response and returns null for unknown formats.
+function parseExportFormat(req, res) {
+  const { format } = req.query;
+
+  if (format === undefined) {
+    const accepted = req.accepts([
+      "application/json",
+      ...Object.values(EXPORT_FORMATS).map(
+        ({ contentType }) => contentType.split(";")[0]
+      ),
+    ]);
+    const match = Object.keys(EXPORT_FORMATS).find(
+      (name) => EXPORT_FORMATS[name].contentType.split(";")[0] === accepted
+    );
+    return match || "json";
+  }
+
+  if (
+    format !== "json" &&
+    !Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)
+  ) {
+    res.status(400).json({
+      success: false,
+      message: `Format must be one of: json, ${Object.keys(EXPORT_FORMATS).join(
+        ", "
+      )}`,
+    });
+    return null;
+  }
+
+  return format;
+}
+
+// Task with populated references flattened to names
+function flattenTask(task) {
+  const name = (ref) => (ref && ref.name) || idOf(ref);
+
+  return {
+    id: task._id.toString(),
+    name: task.name,
+    description: task.description,
+    status: task.status,
+    priority: task.priority,
+    project: name(task.project),
+    team: name(task.team),
+    owners: task.owners.map(name).join("; "),
+    tags: task.tags.map(name).join("; "),
+    timeToComplete: task.timeToComplete,
+    dueDate: task.dueDate,
+    completedAt: task.completedAt,
+    createdBy: name(task.createdBy),
+    createdAt: task.createdAt,
+    updatedAt: task.updatedAt,
+  };
+}
+
+// Flattened tasks of a query, read with a cursor so that exports of any
+// size stay out of memory
+async function* streamTaskRows(query) {
+  for await (const task of query.cursor({ batchSize: 200 })) {
+    yield flattenTask(task);
+  }
+}
+
+// Report row with referenced documents flattened to their name, keeping
+// their ID in a <field>Id column
+function flattenReportRow(row) {
+  return Object.fromEntries(
+    Object.entries(row).flatMap(([key, value]) =>
+      value && typeof value === "object" && "name" in value
+        ? [
+            [key, value.name],
+            [`${key}Id`, value._id ? value._id.toString() : null],
+          ]
+        : [[key, value]]
+    )
+  );
+}
+
+// Cell value of an exported field
+function toExportValue(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  return value;
+}
+
+// Quote a CSV field when needed. Text that spreadsheets would run as a
+// formula is prefixed with a quote, numbers like -5 are left as they are.
+function toCsvField(value) {
+  let text = String(toExportValue(value));
+  if (typeof value === "string" && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Stream rows to the response in an export format. Rows can be an array or
+// an async iterable, so large exports never have to be held in memory.
+async function sendExport(res, format, name, rows, columns) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  res.setHeader("Content-Type", contentType);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${name}-${moment().format(
+      "YYYY-MM-DD"
+    )}.${extension}"`
+  );
+
+  // Without explicit columns, every field of the rows becomes a column
+  const fields = columns || [
+    ...new Set(rows.flatMap((row) => Object.keys(row))),
+  ];
+
+  // Wait until the client has taken what was written so far
+  const drained = () =>
+    !res.writableNeedDrain || res.destroyed
+      ? Promise.resolve()
+      : new Promise((resolve) => {
+          const done = () => {
+            res.off("drain", done);
+            res.off("close", done);
+            resolve();
+          };
+          res.on("drain", done);
+          res.on("close", done);
+        });
+  const write = (chunk) => {
+    res.write(chunk);
+    return drained();
+  };
+
+  let writeRow;
+  let finish = async () => res.end();
+
+  if (format === "xlsx") {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream: res,
+      useStyles: false,
+      useSharedStrings: false,
+    });
+    const sheet = workbook.addWorksheet(name);
+    sheet.columns = fields.map((field) => ({ header: field, key: field }));
+
+    // The workbook writes to the response as rows are committed
+    writeRow = (row) => {
+      sheet
+        .addRow(
+          Object.fromEntries(
+            fields.map((field) => [
+              field,
+              row[field] instanceof Date
+                ? row[field]
+                : toExportValue(row[field]),
+            ])
+          )
+        )
+        .commit();
+      return drained();
+    };
+    finish = async () => {
+      sheet.commit();
+      await workbook.commit();
+    };
+  } else if (format === "csv") {
+    await write(fields.map(toCsvField).join(",") + "\r\n");
+    writeRow = (row) =>
+      write(fields.map((field) => toCsvField(row[field])).join(",") + "\r\n");
+  } else {
+    writeRow = (row) =>
+      write(
+        JSON.stringify(
+          Object.fromEntries(fields.map((field) => [field, row[field] ?? null]))
+        ) + "\n"
+      );
+  }
+
+  for await (const row of rows) {
+    // Stop reading when the client went away
+    if (res.destroyed) break;
+    await writeRow(row);
+  }
+
+  await finish();
+}
+
+// REPORT ROUTES
+
+// Buckets completion reports can group by. Keys are formatted the same way
+// by moment and by MongoDB's $dateToString.
+const REPORT_GRANULARITIES = {
+  day: { unit: "day", step: "day", format: "YYYY-MM-DD", dbFormat: "%Y-%m-%d" },
+  week: {
+    unit: "isoWeek",
+    step: "week",
+    format: "GGGG-[W]WW",
+    dbFormat: "%G-W%V",
+  },
+  month: { unit: "month", step: "month", format: "YYYY-MM", dbFormat: "%Y-%m" },
+};
+
+// Most buckets a completion report can have
+const MAX_REPORT_BUCKETS = 366;
+
+// Task list filters completion reports accept
+const REPORT_FILTER_PARAMS = ["team", "project", "owner", "tags", "tagMatch"];
+
+// Parse the range, granularity and time zone of a completion report, or send
+// an error response. Without a from date the range covers `periods` buckets
+// up to the current one.
+function parseReportRange(res, query, periods = 30) {
+  const fail = (message) => {
+    res.status(400).json({ success: false, message });
+    return null;
+  };
+
+  const { granularity = "day", timezone = moment.tz.guess() } = query;
+  if (
+    !Object.prototype.hasOwnProperty.call(REPORT_GRANULARITIES, granularity)
+  ) {
+    return fail("Granularity must be one of day, week or month");
+  }
+  const bucket = REPORT_GRANULARITIES[granularity];
+  if (!moment.tz.zone(timezone)) {
+    return fail("Time zone must be an IANA time zone like Europe/Berlin");
+  }
+
+  const parse = (value) => moment.tz(value, moment.ISO_8601, true, timezone);
+  const to = query.to ? parse(query.to) : moment.tz(timezone);
+  const from = query.from
+    ? parse(query.from)
+    : to.clone().subtract(periods - 1, bucket.step);
+  if (!from.isValid() || !to.isValid()) {
+    return fail("Please provide valid from and to dates");
+  }
+  if (to.isBefore(from)) {
+    return fail("The from date must be before the to date");
+  }
+
+  // Ranges cover whole buckets in the report's time zone
+  from.startOf(bucket.unit);
+  to.endOf(bucket.unit);
+
+  const keys = [];
+  for (
+    const start = from.clone();
+    start.isBefore(to);
+    start.add(1, bucket.step)
+  ) {
+    if (keys.length === MAX_REPORT_BUCKETS) {
+      return fail(`Reports can have at most ${MAX_REPORT_BUCKETS} buckets`);
+    }
+    keys.push({ key: start.format(bucket.format), start: start.format() });
+  }
+
+  return { from, to, granularity, timezone, bucket, keys };
+}
+
+// Completed tasks and estimate days per bucket of a range, zero-filled
+async function getCompletionBuckets(filter, range) {
+  const totals = await Task.aggregate([
+    {
+      $match: {
+        ...filter,
+        completedAt: { $gte: range.from.toDate(), $lte: range.to.toDate() },
+      },
+    },
+    {
+      $group: {
+        _id: {
+          $dateToString: {
+            format: range.bucket.dbFormat,
+            date: "$completedAt",
+            timezone: range.timezone,
+          },
+        },
+        count: { $sum: 1 },
+        estimateDays: { $sum: { $ifNull: ["$timeToComplete", 0] } },
+      },
+    },
+  ]);
+  const totalsByKey = Object.fromEntries(
+    totals.map((total) => [total._id, total])
+  );
+
+  return range.keys.map(({ key, start }) => ({
+    key,
+    start,
+    count: totalsByKey[key] ? totalsByKey[key].count : 0,
+    estimateDays: totalsByKey[key] ? totalsByKey[key].estimateDays : 0,
+  }));
+}
+
+// Completed tasks over a range, bucketed by day, week or month
+app.get("/api/reports/completed", verifyToken, async (req, res) => {
+  try {
+    const format = parseExportFormat(req, res);
+    if (!format) return;
+
+    const range = parseReportRange(res, req.query);
+    if (!range) return;
+
+    const filter = await buildTaskFilter(
+      req,
+      res,
+      pick(req.query, REPORT_FILTER_PARAMS)
+    );
+    if (!filter) return;
+
+    const buckets = await getCompletionBuckets(filter, range);
+
+    if (format !== "json") {
+      return await sendExport(res, format, "completion-report", buckets);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        from: range.from.format(),
+        to: range.to.format(),
+        granularity: range.granularity,
+        timezone: range.timezone,
+        totalCompleted: buckets.reduce((sum, bucket) => sum + bucket.count, 0),
+        buckets,
+      },
+    });
+  } catch (error) {
+    // Exports may fail after streaming has started
+    if (res.headersSent) return res.end();
+
+    res.status(500).json({
+      success: false,
+      message: "Error generating completion report",
+    });
+  }
+});
+
+// Last week completed tasks, the last 7 days of the completion report
+app.get("/api/reports/last-week", verifyToken, async (req, res) => {
+  try {
+    const format = parseExportFormat(req, res);
+    if (!format) return;
+
+    const range = parseReportRange(
+      res,
+      { timezone: req.query.timezone, granularity: "day" },
+      7
+    );
+    if (!range) return;
+
+    const filter = await buildTaskFilter(
+      req,
+      res,
+      pick(req.query, REPORT_FILTER_PARAMS)
+    );
+    if (!filter) return;
+
+    const query = Task.find({
+      ...filter,
+      completedAt: { $gte: range.from.toDate(), $lte: range.to.toDate() },
+    }).populate(TASK_EXPORT_POPULATE);
+
+    if (format !== "json") {
+      return await sendExport(
+        res,
+        format,
+        "last-week-report",
+        streamTaskRows(query),
+        TASK_EXPORT_COLUMNS
+      );
+    }
 
-    await Task.findByIdAndUpdate(req.params.id, { isActive: false });
+    const buckets = await getCompletionBuckets(filter, range);
+    const completedTasks = await query;
 
     res.json({
       success: true,
-      message: "Task deleted successfully",
+      data: {
+        totalCompleted: completedTasks.length,
+        timezone: range.timezone,
+        dailyStats: Object.fromEntries(
+          buckets.map((bucket) => [bucket.key, bucket.count])
+        ),
+        tasks: completedTasks,
+      },
     });
   } catch (error) {
+    // Exports may fail after streaming has started
+    if (res.headersSent) return res.end();
+
     res.status(500).json({
       success: false,
-      message: "Error deleting task",
+      message: "Error generating last week report",
     });
   }
 });
 
-// TEAM ROUTES
+// Dimensions tasks can be grouped by in reports. References are grouped by
+// ID and get their name attached from the referenced collection.
+const REPORT_DIMENSIONS = {
+  team: { field: "team", model: Team },
+  project: { field: "project", model: Project },
+  owner: { field: "owners", model: User, isArray: true },
+  tag: { field: "tags", model: Tag, isArray: true },
+  status: { field: "status" },
+  priority: { field: "priority" },
+};
 
-// Get teams
-app.get("/api/teams", verifyToken, async (req, res) => {
-  try {
-    const teams = await Team.find({ isActive: true })
-      .populate("members", "name email")
-      .sort("name");
+// Filters the grouped reports accept
+const GROUPED_REPORT_FILTER_PARAMS = [
+  ...REPORT_FILTER_PARAMS,
+  "status",
+  "priority",
+];
 
-    res.json({
-      success: true,
-      count: teams.length,
-      data: teams,
-    });
-  } catch (error) {
-    res.status(500).json({
+// Parse a groupBy of one or two dimensions, or send an error response
+function parseGroupBy(res, groupBy) {
+  const dimensions = parseListParam(groupBy);
+
+  if (
+    dimensions.length === 0 ||
+    dimensions.length > 2 ||
+    new Set(dimensions).size !== dimensions.length ||
+    !dimensions.every((dimension) =>
+      Object.prototype.hasOwnProperty.call(REPORT_DIMENSIONS, dimension)
+    )
+  ) {
+    res.status(400).json({
       success: false,
-      message: "Error fetching teams",
+      message: `Group by one or two of: ${Object.keys(REPORT_DIMENSIONS).join(
+        ", "
+      )}`,
     });
+    return null;
   }
-});
 
-// Team validation
-const teamValidation = [
-  body("name")
-    .trim()
-    .isLength({ min: 1, max: 50 })
-    .withMessage("Team name must be between 1 and 50 characters"),
-];
+  return dimensions;
+}
 
-// Create team
-app.post("/api/teams", verifyToken, teamValidation, async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: "Validation errors",
-        errors: errors.array(),
+// Aggregation stages counting tasks and estimate days per combination of
+// dimensions. Tasks with several owners or tags count once for each of them.
+function groupTasksStages(dimensions) {
+  const stages = [];
+
+  for (const dimension of dimensions) {
+    const { field, isArray } = REPORT_DIMENSIONS[dimension];
+    if (isArray) {
+      stages.push({
+        $unwind: { path: `$${field}`, preserveNullAndEmptyArrays: true },
       });
     }
+  }
 
-    const team = await Team.create(req.body);
+  stages.push({
+    $group: {
+      _id: Object.fromEntries(
+        dimensions.map((dimension) => [
+          dimension,
+          `$${REPORT_DIMENSIONS[dimension].field}`,
+        ])
+      ),
+      count: { $sum: 1 },
+      totalDays: { $sum: { $ifNull: ["$timeToComplete", 0] } },
+    },
+  });
 
-    res.status(201).json({
-      success: true,
-      message: "Team created successfully",
-      data: team,
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error creating team",
+  const project = { _id: 0, count: 1, totalDays: 1 };
+  for (const dimension of dimensions) {
+    const { model } = REPORT_DIMENSIONS[dimension];
+    if (!model) {
+      project[dimension] = { $ifNull: [`$_id.${dimension}`, null] };
+      continue;
+    }
+
+    stages.push({
+      $lookup: {
+        from: model.collection.name,
+        localField: `_id.${dimension}`,
+        foreignField: "_id",
+        as: `${dimension}Docs`,
+      },
     });
+    project[dimension] = {
+      _id: { $ifNull: [`$_id.${dimension}`, null] },
+      name: {
+        $ifNull: [
+          { $arrayElemAt: [`$${dimension}Docs.name`, 0] },
+          "Unassigned",
+        ],
+      },
+    };
   }
-});
 
-// PROJECT ROUTES
+  stages.push({ $project: project }, { $sort: { count: -1 } });
+  return stages;
+}
 
-// Get projects
-app.get("/api/projects", verifyToken, async (req, res) => {
+// Pending tasks report
+app.get("/api/reports/pending", verifyToken, async (req, res) => {
   try {
-    const projects = await Project.find({ isActive: true })
-      .populate("team", "name description")
-      .sort("-createdAt");
+    const format = parseExportFormat(req, res);
+    if (!format) return;
+
+    const dimensions = parseGroupBy(res, req.query.groupBy || "status");
+    if (!dimensions) return;
+
+    const filter = await buildTaskFilter(
+      req,
+      res,
+      pick(req.query, GROUPED_REPORT_FILTER_PARAMS)
+    );
+    if (!filter) return;
+
+    const [{ totals, byStatus, groups }] = await Task.aggregate([
+      { $match: { ...filter, ...OPEN_TASK_FILTER } },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                count: { $sum: 1 },
+                totalDays: { $sum: { $ifNull: ["$timeToComplete", 0] } },
+              },
+            },
+          ],
+          byStatus: groupTasksStages(["status"]),
+          groups: groupTasksStages(dimensions),
+        },
+      },
+    ]);
+
+    const { count = 0, totalDays = 0 } = totals[0] || {};
+
+    if (format !== "json") {
+      return await sendExport(
+        res,
+        format,
+        "pending-report",
+        groups.map(flattenReportRow)
+      );
+    }
 
     res.json({
       success: true,
-      count: projects.length,
-      data: projects,
+      data: {
+        totalPendingTasks: count,
+        totalPendingDays: totalDays,
+        statusStats: Object.fromEntries(
+          byStatus.map((group) => [
+            group.status,
+            { count: group.count, totalDays: group.totalDays },
+          ])
+        ),
+        averageDaysPerTask: count > 0 ? totalDays / count : 0,
+        groupBy: dimensions,
+        groups,
+      },
     });
   } catch (error) {
+    // Exports may fail after streaming has started
+    if (res.headersSent) return res.end();
+
     res.status(500).json({
       success: false,
-      message: "Error fetching projects",
+      message: "Error generating pending work report",
     });
   }
 });
 
-// Project validation
-const projectValidation = [
-  body("name")
-    .trim()
-    .isLength({ min: 1, max: 100 })
-    .withMessage("Project name must be between 1 and 100 characters"),
-];
-
-// Create project
-app.post("/api/projects", verifyToken, projectValidation, async (req, res) => {
+// Closed tasks report with grouping
+app.get("/api/reports/closed-tasks", verifyToken, async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: "Validation errors",
-        errors: errors.array(),
-      });
+    const format = parseExportFormat(req, res);
+    if (!format) return;
+
+    const { groupBy = "team" } = req.query;
+
+    const dimensions = parseGroupBy(res, groupBy);
+    if (!dimensions) return;
+
+    const filter = await buildTaskFilter(
+      req,
+      res,
+      pick(req.query, GROUPED_REPORT_FILTER_PARAMS)
+    );
+    if (!filter) return;
+
+    // Counts by name of the first dimension are kept as returned before
+    // groups were keyed by ID, so they are grouped on their own
+    const [firstDimension] = dimensions;
+    const [{ totals, groups, statsGroups }] = await Task.aggregate([
+      { $match: { ...filter, ...DONE_TASK_FILTER } },
+      {
+        $facet: {
+          totals: [{ $count: "count" }],
+          groups: groupTasksStages(dimensions),
+          statsGroups: groupTasksStages([firstDimension]),
+        },
+      },
+    ]);
+
+    // Tasks without owners or tags weren't counted under any name
+    const { model, isArray } = REPORT_DIMENSIONS[firstDimension];
+    const stats = {};
+    for (const group of statsGroups) {
+      const value = group[firstDimension];
+      if (isArray && value._id === null) continue;
+
+      const key = model ? value.name : value;
+      stats[key] = (stats[key] || 0) + group.count;
     }
 
-    const project = await Project.create(req.body);
+    if (format !== "json") {
+      return await sendExport(
+        res,
+        format,
+        "closed-tasks-report",
+        groups.map(flattenReportRow)
+      );
+    }
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: "Project created successfully",
-      data: project,
+      data: {
+        groupBy,
+        totalCompleted: totals[0] ? totals[0].count : 0,
+        stats,
+        groups,
+      },
     });
   } catch (error) {
+    // Exports may fail after streaming has started
+    if (res.headersSent) return res.end();
+
     res.status(500).json({
       success: false,
-      message: "Error creating project",
+      message: "Error generating closed tasks report",
     });
   }
 });
 
-// TAG ROUTES
+// Task fields replayed from the activity history to see past states
+const HISTORY_FIELDS = ["project", "timeToComplete", "completedAt", "isActive"];
 
-// Get tags
-app.get("/api/tags", verifyToken, async (req, res) => {
-  try {
-    const tags = await Tag.find({ isActive: true }).sort("name");
+// Change history of tasks, newest change first, so their state at an earlier
+// time can be rebuilt with getTaskStateAt
+async function getTaskHistories(tasks) {
+  const activities = await Activity.find({
+    entityType: "task",
+    entity: { $in: tasks.map((task) => task._id) },
+    "changes.field": { $in: HISTORY_FIELDS },
+  })
+    .select("entity changes createdAt")
+    .sort("-createdAt");
 
-    res.json({
-      success: true,
-      count: tags.length,
-      data: tags,
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Error fetching tags",
-    });
+  return tasks.map((task) => ({
+    createdAt: task.createdAt,
+    current: {
+      project: idOf(task.project),
+      timeToComplete: task.timeToComplete,
+      completedAt: toAuditValue(task.completedAt),
+      isActive: task.isActive,
+    },
+    // Each entry holds the values from before the change
+    changes: activities
+      .filter((activity) => activity.entity.equals(task._id))
+      .map((activity) => ({
+        at: activity.createdAt,
+        previous: Object.fromEntries(
+          activity.changes
+            .filter(({ field }) => HISTORY_FIELDS.includes(field))
+            .map(({ field, from }) => [field, from])
+        ),
+      })),
+  }));
+}
+
+// State of a task at a point in time, null if it didn't exist yet
+function getTaskStateAt(history, time) {
+  if (history.createdAt > time) return null;
+
+  const state = { ...history.current };
+  for (const change of history.changes) {
+    if (change.at <= time) break;
+    Object.assign(state, change.previous);
   }
-});
 
-// Tag validation
-const tagValidation = [
-  body("name")
-    .trim()
-    .isLength({ min: 1, max: 30 })
-    .withMessage("Tag name must be between 1 and 30 characters"),
-  body("color")
-    .optional()
-    .matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/)
-    .withMessage("Please enter a valid hex color"),
-];
+  return state;
+}
 
-// Create tag
-app.post("/api/tags", verifyToken, tagValidation, async (req, res) => {
+// Tasks whose history is loaded at once when replaying a burndown
+const BURNDOWN_BATCH_SIZE = 200;
+
+// Remaining estimate of a project for each day from its start to its end
+// date, days run from midnight to midnight in the given time zone
+app.get("/api/reports/projects/:id/burndown", verifyToken, async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
+    const format = parseExportFormat(req, res);
+    if (!format) return;
+
+    const { timezone = moment.tz.guess() } = req.query;
+    if (!moment.tz.zone(timezone)) {
       return res.status(400).json({
         success: false,
-        message: "Validation errors",
-        errors: errors.array(),
+        message: "Time zone must be an IANA time zone like Europe/Berlin",
       });
     }
 
-    // Check duplicate
-    const existingTag = await Tag.findOne({
-      name: req.body.name.toLowerCase(),
-      isActive: true,
-    });
-
-    if (existingTag) {
-      return res.status(409).json({
-        success: false,
-        message: "Tag already exists",
-        data: existingTag,
-      });
-    }
-
-    // Random color if not provided
-    const colors = [
-      "#3b82f6",
-      "#ef4444",
-      "#10b981",
-      "#f59e0b",
-      "#8b5cf6",
-      "#06b6d4",
-      "#84cc16",
-      "#f97316",
-      "#ec4899",
-      "#6366f1",
-      "#14b8a6",
-      "#eab308",
-    ];
-
-    const tagData = {
-      name: req.body.name.toLowerCase(),
-      color:
-        req.body.color || colors[Math.floor(Math.random() * colors.length)],
-    };
+    const project = await findAccessibleProject(req, res, req.params.id);
+    if (!project) return;
 
-    const tag = await Tag.create(tagData);
+    // Project dates are calendar days, stored as midnight UTC
+    const toDay = (date) =>
+      moment.tz(moment.utc(date).format("YYYY-MM-DD"), timezone);
+    const start = toDay(project.startDate).startOf("day");
+    const end = (
+      project.endDate ? toDay(project.endDate) : moment.tz(timezone)
+    ).endOf("day");
+    const dayCount = end.diff(start, "days") + 1;
 
-    res.status(201).json({
-      success: true,
-      message: "Tag created successfully",
-      data: tag,
-    });
-  } catch (error) {
-    if (error.code === 11000) {
-      return res.status(409).json({
+    if (dayCount > 366) {
+      return res.status(400).json({
         success: false,
-        message: "Tag already exists",
+        message: "Burndown charts cover at most a year",
       });
     }
 
-    console.error("Error creating tag:", error);
-    res.status(500).json({
-      success: false,
-      message: "Error creating tag",
+    // Tasks that are or were in the project, including deleted ones
+    const projectId = project._id.toString();
+    const movedOut = await Activity.distinct("entity", {
+      entityType: "task",
+      changes: { $elemMatch: { field: "project", from: projectId } },
     });
-  }
-});
-
-// REPORT ROUTES
-
-// Last week completed tasks
-app.get("/api/reports/last-week", verifyToken, async (req, res) => {
-  try {
-    const oneWeekAgo = moment().subtract(7, "days").startOf("day").toDate();
-    const now = moment().endOf("day").toDate();
-
-    const completedTasks = await Task.find({
-      status: "Completed",
-      completedAt: { $gte: oneWeekAgo, $lte: now },
-      isActive: true,
+    const cursor = Task.find({
+      $or: [{ project: project._id }, { _id: { $in: movedOut } }],
+      ...(await teamScope(req)),
     })
-      .populate("project", "name")
-      .populate("team", "name")
-      .populate("owners", "name");
+      .select("project timeToComplete completedAt isActive createdAt")
+      .cursor({ batchSize: BURNDOWN_BATCH_SIZE });
 
-    // Daily stats
-    const dailyStats = {};
-    for (let i = 6; i >= 0; i--) {
-      const date = moment().subtract(i, "days").format("YYYY-MM-DD");
-      dailyStats[date] = 0;
+    // Days that haven't happened yet only have an ideal value
+    const now = new Date();
+    const days = [];
+    const elapsedDays = [];
+    for (let i = 0; i < dayCount; i++) {
+      const dayStart = start.clone().add(i, "days");
+      const day = {
+        date: dayStart.format("YYYY-MM-DD"),
+        remaining: null,
+        openTasks: null,
+      };
+      if (dayStart.toDate() <= now) {
+        Object.assign(day, { remaining: 0, openTasks: 0 });
+        elapsedDays.push({ day, end: dayStart.endOf("day").toDate() });
+      }
+      days.push(day);
     }
 
-    completedTasks.forEach((task) => {
-      const date = moment(task.completedAt).format("YYYY-MM-DD");
-      if (dailyStats[date] !== undefined) {
-        dailyStats[date]++;
+    // Histories are replayed a batch of tasks at a time
+    const addToDays = async (tasks) => {
+      for (const history of await getTaskHistories(tasks)) {
+        for (const { day, end } of elapsedDays) {
+          const state = getTaskStateAt(history, end);
+          if (
+            state &&
+            state.isActive &&
+            state.project === projectId &&
+            !(state.completedAt && new Date(state.completedAt) <= end)
+          ) {
+            day.remaining += state.timeToComplete || 0;
+            day.openTasks += 1;
+          }
+        }
+      }
+    };
+
+    let batch = [];
+    for await (const task of cursor) {
+      batch.push(task);
+      if (batch.length === BURNDOWN_BATCH_SIZE) {
+        await addToDays(batch);
+        batch = [];
       }
+    }
+    if (batch.length > 0) await addToDays(batch);
+
+    // The ideal line goes from the work at the start to zero, or from the
+    // most work there was if the project started empty
+    const initial =
+      (days.length > 0 && days[0].remaining) ||
+      Math.max(0, ...elapsedDays.map(({ day }) => day.remaining));
+    days.forEach((day, i) => {
+      day.ideal =
+        dayCount > 1
+          ? Math.round(initial * (1 - i / (dayCount - 1)) * 100) / 100
+          : 0;
     });
 
+    if (format !== "json") {
+      return await sendExport(res, format, "burndown-report", days);
+    }
+
     res.json({
       success: true,
       data: {
-        totalCompleted: completedTasks.length,
-        dailyStats,
-        tasks: completedTasks,
+        project: {
+          _id: project._id,
+          name: project.name,
+          startDate: project.startDate,
+          endDate: project.endDate,
+        },
+        days,
       },
     });
   } catch (error) {
+    // Exports may fail after streaming has started
+    if (res.headersSent) return res.end();
+
     res.status(500).json({
       success: false,
-      message: "Error generating last week report",
+      message: "Error generating burndown report",
     });
   }
 });
 
-// Pending tasks report
-app.get("/api/reports/pending", verifyToken, async (req, res) => {
+// Estimate days a team completed per week over the last N weeks, weeks start
+// on Monday in the given time zone
+app.get("/api/reports/teams/:id/velocity", verifyToken, async (req, res) => {
   try {
-    const pendingTasks = await Task.find({
-      status: { $ne: "Completed" },
+    const format = parseExportFormat(req, res);
+    if (!format) return;
+
+    const { timezone = moment.tz.guess() } = req.query;
+    if (!moment.tz.zone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        message: "Time zone must be an IANA time zone like Europe/Berlin",
+      });
+    }
+
+    const team =
+      mongoose.isValidObjectId(req.params.id) &&
+      (await Team.findById(req.params.id));
+
+    if (!team || !team.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: "Team not found",
+      });
+    }
+
+    if (!(await canAccessTeam(req, team))) {
+      return res.status(403).json({
+        success: false,
+        message: "You are not a member of this team",
+      });
+    }
+
+    const weekCount = Math.min(Math.max(parseInt(req.query.weeks) || 8, 1), 52);
+    const start = moment
+      .tz(timezone)
+      .startOf("isoWeek")
+      .subtract(weekCount - 1, "weeks");
+
+    const tasks = await Task.find({
+      team: team._id,
       isActive: true,
-    })
-      .populate("project", "name")
-      .populate("team", "name")
-      .populate("owners", "name");
+      completedAt: { $gte: start.toDate() },
+    }).select("timeToComplete completedAt");
 
-    const totalPendingDays = pendingTasks.reduce(
-      (sum, task) => sum + task.timeToComplete,
-      0
-    );
+    const weeks = [];
+    for (let i = 0; i < weekCount; i++) {
+      const weekStart = start.clone().add(i, "weeks");
+      const completed = tasks.filter((task) =>
+        moment.tz(task.completedAt, timezone).isSame(weekStart, "isoWeek")
+      );
 
-    // Group by status
-    const statusStats = {};
-    pendingTasks.forEach((task) => {
-      if (!statusStats[task.status]) {
-        statusStats[task.status] = { count: 0, totalDays: 0 };
-      }
-      statusStats[task.status].count++;
-      statusStats[task.status].totalDays += task.timeToComplete;
-    });
+      weeks.push({
+        weekStart: weekStart.format("YYYY-MM-DD"),
+        completedTasks: completed.length,
+        completedDays: completed.reduce(
+          (sum, task) => sum + (task.timeToComplete || 0),
+          0
+        ),
+      });
+    }
+
+    const totalDays = weeks.reduce((sum, week) => sum + week.completedDays, 0);
+
+    if (format !== "json") {
+      return await sendExport(res, format, "velocity-report", weeks);
+    }
 
     res.json({
       success: true,
       data: {
-        totalPendingTasks: pendingTasks.length,
-        totalPendingDays,
-        statusStats,
-        averageDaysPerTask:
-          pendingTasks.length > 0 ? totalPendingDays / pendingTasks.length : 0,
+        team: { _id: team._id, name: team.name },
+        averageDays: Math.round((totalDays / weekCount) * 100) / 100,
+        weeks,
       },
     });
   } catch (error) {
+    // Exports may fail after streaming has started
+    if (res.headersSent) return res.end();
+
     res.status(500).json({
       success: false,
-      message: "Error generating pending work report",
+      message: "Error generating velocity report",
     });
   }
 });
 
-// Closed tasks report with grouping
-app.get("/api/reports/closed-tasks", verifyToken, async (req, res) => {
+// Estimated versus logged time per project, team or owner
+app.get("/api/reports/time-tracking", verifyToken, async (req, res) => {
   try {
-    const { groupBy = "team" } = req.query;
+    const format = parseExportFormat(req, res);
+    if (!format) return;
+
+    const { groupBy = "project" } = req.query;
+
+    if (!["project", "team", "owner"].includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        message: "Group by must be one of project, team or owner",
+      });
+    }
 
-    const completedTasks = await Task.find({
-      status: "Completed",
+    const match = {
       isActive: true,
-    })
-      .populate("project", "name")
-      .populate("team", "name")
-      .populate("owners", "name");
+      duration: { $ne: null },
+      ...(await teamScope(req)),
+    };
 
-    let groupedStats = {};
+    for (const [param, operator] of [
+      ["from", "$gte"],
+      ["to", "$lte"],
+    ]) {
+      if (!req.query[param]) continue;
 
-    if (groupBy === "team") {
-      completedTasks.forEach((task) => {
-        const teamName = task.team?.name || "Unassigned";
-        if (!groupedStats[teamName]) {
-          groupedStats[teamName] = 0;
-        }
-        groupedStats[teamName]++;
-      });
-    } else if (groupBy === "owner") {
-      completedTasks.forEach((task) => {
-        task.owners.forEach((owner) => {
-          const ownerName = owner.name;
-          if (!groupedStats[ownerName]) {
-            groupedStats[ownerName] = 0;
-          }
-          groupedStats[ownerName]++;
+      const date = parseDateParam(req.query[param], param === "to");
+      if (!date) {
+        return res.status(400).json({
+          success: false,
+          message: "Please provide valid from and to dates",
         });
-      });
-    } else if (groupBy === "project") {
-      completedTasks.forEach((task) => {
-        const projectName = task.project?.name || "Unassigned";
-        if (!groupedStats[projectName]) {
-          groupedStats[projectName] = 0;
-        }
-        groupedStats[projectName]++;
-      });
+      }
+      match.date = { ...match.date, [operator]: date };
+    }
+
+    // Logged time per task, then estimates of those tasks per group. Tasks
+    // with several owners count fully for each of them.
+    const groupField = {
+      project: "$task.project",
+      team: "$task.team",
+      owner: "$task.owners",
+    }[groupBy];
+    const collection = {
+      project: Project.collection.name,
+      team: Team.collection.name,
+      owner: User.collection.name,
+    }[groupBy];
+
+    const rows = await TimeLog.aggregate([
+      { $match: match },
+      { $group: { _id: "$task", loggedMinutes: { $sum: "$duration" } } },
+      {
+        $lookup: {
+          from: Task.collection.name,
+          localField: "_id",
+          foreignField: "_id",
+          as: "task",
+        },
+      },
+      { $unwind: "$task" },
+      ...(groupBy === "owner" ? [{ $unwind: "$task.owners" }] : []),
+      {
+        $group: {
+          _id: groupField,
+          taskCount: { $sum: 1 },
+          estimatedDays: { $sum: { $ifNull: ["$task.timeToComplete", 0] } },
+          loggedMinutes: { $sum: "$loggedMinutes" },
+        },
+      },
+      {
+        $lookup: {
+          from: collection,
+          localField: "_id",
+          foreignField: "_id",
+          as: "group",
+        },
+      },
+      {
+        $project: {
+          _id: 1,
+          name: {
+            $ifNull: [{ $arrayElemAt: ["$group.name", 0] }, "Unassigned"],
+          },
+          taskCount: 1,
+          estimatedDays: 1,
+          loggedMinutes: 1,
+        },
+      },
+      { $sort: { name: 1 } },
+    ]);
+
+    const stats = rows.map((row) => {
+      const loggedDays =
+        Math.round((row.loggedMinutes / WORKDAY_MINUTES) * 100) / 100;
+      return {
+        ...row,
+        loggedDays,
+        varianceDays: Math.round((loggedDays - row.estimatedDays) * 100) / 100,
+      };
+    });
+
+    if (format !== "json") {
+      return await sendExport(res, format, "time-tracking-report", stats);
     }
 
     res.json({
       success: true,
       data: {
         groupBy,
-        totalCompleted: completedTasks.length,
-        stats: groupedStats,
+        workdayMinutes: WORKDAY_MINUTES,
+        stats,
       },
     });
   } catch (error) {
+    // Exports may fail after streaming has started
+    if (res.headersSent) return res.end();
+
     res.status(500).json({
       success: false,
-      message: "Error generating closed tasks report",
+      message: "Error generating time tracking report",
     });
   }
 });
@@ -935,6 +7760,19 @@ app.use((req, res) => {
   });
 });
 
-app.listen(PORT, () => {
-  console.log(`Server is running on ${PORT}`);
-});
\ No newline at end of file
+// Start the server when run directly, tests load the app without it
+if (require.main === module) {
+  connectToDB().then(() => {
+    if (!RECURRENCE_SCHEDULER) return;
+    createScheduledOccurrences();
+    setInterval(createScheduledOccurrences, RECURRENCE_CHECK_INTERVAL);
+  });
+
+  app.listen(PORT, () => {
+    console.log(`Server is running on ${PORT}`);
+  });
+}
+
+module.exports = app;
+// The scheduler is run by the instance itself, exported for the tests
+module.exports.createScheduledOccurrences = createScheduledOccurrences;
\ No newline at end of file
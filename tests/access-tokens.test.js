@@ -0,0 +1,121 @@
+const crypto = require("crypto");
+const request = require("supertest");
+const app = require("../server.js");
+const User = require("../models/User.js");
+const AccessToken = require("../models/AccessToken.js");
+const { newId, mockQuery, signIn } = require("./helpers.js");
+
+describe("personal access tokens", () => {
+  const token = "wa_pat_0123456789abcdef";
+  let user;
+
+  beforeEach(() => {
+    user = { _id: newId(), username: "bot", role: "admin", isActive: true };
+    jest.spyOn(AccessToken, "updateOne").mockReturnValue(mockQuery({}));
+  });
+
+  function mockToken(fields = {}) {
+    const accessToken = { _id: newId(), user, scopes: ["read"], ...fields };
+    jest.spyOn(AccessToken, "findOne").mockReturnValue(mockQuery(accessToken));
+    return accessToken;
+  }
+
+  test("authenticate read requests with the read scope", async () => {
+    mockToken();
+    jest.spyOn(User, "findById").mockReturnValue(mockQuery(user));
+
+    const res = await request(app)
+      .get("/api/auth/user")
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(AccessToken.findOne.mock.calls[0][0].tokenHash).toBe(
+      crypto.createHash("sha256").update(token).digest("hex")
+    );
+  });
+
+  test("need the scope of the route", async () => {
+    mockToken();
+
+    const res = await request(app)
+      .post("/api/tasks")
+      .set("Authorization", `Bearer ${token}`)
+      .send({});
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe(
+      'This access token is missing the "tasks:write" scope'
+    );
+  });
+
+  test("can't manage the account", async () => {
+    mockToken({ scopes: ["read", "tasks:write", "reports"] });
+
+    const res = await request(app)
+      .post("/api/auth/tokens")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ name: "Another", scopes: ["read"] });
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe(
+      "Access tokens cannot be used for this route"
+    );
+  });
+
+  test("stop working once expired", async () => {
+    mockToken({ expiresAt: new Date(Date.now() - 1000) });
+
+    const res = await request(app)
+      .get("/api/auth/user")
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe("Invalid or expired access token");
+  });
+
+  describe("POST /api/auth/tokens", () => {
+    test("returns the token once and stores its hash", async () => {
+      const { cookie } = signIn();
+      const create = jest
+        .spyOn(AccessToken, "create")
+        .mockImplementation(async (data) => new AccessToken(data));
+
+      const res = await request(app)
+        .post("/api/auth/tokens")
+        .set("Cookie", cookie)
+        .send({ name: "CI", scopes: ["read", "read", "reports"] });
+
+      expect(res.status).toBe(201);
+      const plain = res.body.data.token;
+      expect(plain).toMatch(/^wa_pat_/);
+      expect(create.mock.calls[0][0].tokenHash).toBe(
+        crypto.createHash("sha256").update(plain).digest("hex")
+      );
+      expect(res.body.data).not.toHaveProperty("tokenHash");
+      expect(res.body.data.scopes).toEqual(["read", "reports"]);
+    });
+
+    test("rejects unknown scopes", async () => {
+      const { cookie } = signIn();
+
+      const res = await request(app)
+        .post("/api/auth/tokens")
+        .set("Cookie", cookie)
+        .send({ name: "CI", scopes: ["admin"] });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  test("answer 404 for invalid IDs when revoked", async () => {
+    const { cookie } = signIn();
+    const revoke = jest.spyOn(AccessToken, "findOneAndUpdate");
+
+    const res = await request(app)
+      .delete("/api/auth/tokens/not-an-id")
+      .set("Cookie", cookie);
+
+    expect(res.status).toBe(404);
+    expect(revoke).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
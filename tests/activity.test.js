@@ -0,0 +1,142 @@
+const request = require("supertest");
+const app = require("../server.js");
+const Tag = require("../models/Tag.js");
+const Task = require("../models/Task.js");
+const Activity = require("../models/Activity.js");
+const {
+  newId,
+  mockQuery,
+  signIn,
+  mockActivity,
+  mockWorkflow,
+  taskDoc,
+} = require("./helpers.js");
+
+describe("activity history", () => {
+  const teamId = newId();
+  let task;
+
+  beforeEach(() => {
+    task = taskDoc({ team: teamId });
+    jest.spyOn(task, "save").mockResolvedValue(task);
+    mockWorkflow();
+  });
+
+  test("records the fields a task update changed", async () => {
+    const { cookie, user } = signIn({ teams: [teamId] });
+    const record = mockActivity();
+    jest.spyOn(Task, "findById").mockReturnValue(mockQuery(task));
+    jest.spyOn(Task, "find").mockReturnValue(mockQuery([]));
+    jest.spyOn(Task, "countDocuments").mockReturnValue(mockQuery(0));
+    jest.spyOn(task, "populate").mockResolvedValue(task);
+
+    const res = await request(app)
+      .put(`/api/tasks/${task._id}`)
+      .set("Cookie", cookie)
+      .send({ status: "In Progress", priority: "high" });
+
+    expect(res.status).toBe(200);
+    expect(record).toHaveBeenCalledWith(
+      expect.objectContaining({
+        entity: task._id,
+        action: "status_changed",
+        actor: user._id.toString(),
+        changes: [
+          { field: "status", from: "To Do", to: "In Progress" },
+          { field: "priority", from: "medium", to: "high" },
+        ],
+      })
+    );
+  });
+
+  test("doesn't fail the request when recording fails", async () => {
+    const { cookie } = signIn({ teams: [teamId] });
+    jest.spyOn(Activity, "create").mockRejectedValue(new Error("down"));
+    const log = jest.spyOn(console, "error").mockImplementation(() => {});
+    jest.spyOn(Task, "findById").mockReturnValue(mockQuery(task));
+    jest.spyOn(task, "populate").mockResolvedValue(task);
+
+    const res = await request(app)
+      .put(`/api/tasks/${task._id}`)
+      .set("Cookie", cookie)
+      .send({ priority: "high" });
+
+    expect(res.status).toBe(200);
+    expect(log).toHaveBeenCalledWith(
+      "Error recording activity:",
+      expect.any(Error)
+    );
+  });
+
+  describe("bulk tag changes", () => {
+    let source;
+    let target;
+
+    beforeEach(() => {
+      source = new Tag({ name: "bug" });
+      target = new Tag({ name: "defect" });
+      task.tags = [source._id];
+      jest.spyOn(Task, "find").mockReturnValue(mockQuery([task]));
+      jest
+        .spyOn(Task, "updateMany")
+        .mockReturnValue(mockQuery({ modifiedCount: 1 }));
+      jest.spyOn(Tag, "deleteOne").mockReturnValue(mockQuery({}));
+    });
+
+    test("record merged tags on each task", async () => {
+      const { cookie } = signIn({ role: "admin" });
+      const record = mockActivity();
+      jest
+        .spyOn(Tag, "findOne")
+        .mockReturnValueOnce(mockQuery(source))
+        .mockReturnValueOnce(mockQuery(target));
+
+      const res = await request(app)
+        .post(`/api/tags/${source._id}/merge`)
+        .set("Cookie", cookie)
+        .send({ into: target._id.toString() });
+
+      expect(res.status).toBe(200);
+      expect(record).toHaveBeenCalledWith(
+        expect.objectContaining({
+          entity: task._id,
+          team: teamId.toString(),
+          changes: [
+            {
+              field: "tags",
+              from: [source._id.toString()],
+              to: [target._id.toString()],
+            },
+          ],
+        })
+      );
+    });
+
+    test("record deleted tags on each task", async () => {
+      const { cookie } = signIn({ role: "admin" });
+      const record = mockActivity();
+      jest.spyOn(Tag, "findById").mockReturnValue(mockQuery(source));
+      jest.spyOn(Task, "countDocuments").mockReturnValue(mockQuery(1));
+
+      const res = await request(app)
+        .delete(`/api/tags/${source._id}?cascade=true`)
+        .set("Cookie", cookie);
+
+      expect(res.status).toBe(200);
+      expect(record.mock.calls[0][0].changes).toEqual([
+        { field: "tags", from: [source._id.toString()], to: [] },
+      ]);
+    });
+  });
+
+  test("feed rejects invalid IDs", async () => {
+    const { cookie } = signIn({ role: "admin" });
+
+    const res = await request(app)
+      .get("/api/activity?actor=someone")
+      .set("Cookie", cookie);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("Please provide a valid actor ID");
+  });
+});
\ No newline at end of file
@@ -0,0 +1,148 @@
+const request = require("supertest");
+const app = require("../server.js");
+const Task = require("../models/Task.js");
+const Project = require("../models/Project.js");
+const { newId, mockQuery, signIn, mockActivity } = require("./helpers.js");
+
+describe("authorization", () => {
+  const teamId = newId();
+  const otherTeamId = newId();
+
+  function taskOf(team, fields = {}) {
+    return new Task({
+      name: "Write docs",
+      project: newId(),
+      team,
+      owners: [newId()],
+      timeToComplete: 1,
+      status: "To Do",
+      createdBy: newId(),
+      ...fields,
+    });
+  }
+
+  test("rejects requests without a session", async () => {
+    const res = await request(app).get("/api/tasks");
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe("You need to sign in before continuing");
+  });
+
+  test("hides tasks of other teams from members", async () => {
+    const { cookie } = signIn({ teams: [teamId] });
+    const task = taskOf(otherTeamId);
+    jest.spyOn(Task, "findById").mockReturnValue(mockQuery(task));
+
+    const res = await request(app)
+      .get(`/api/tasks/${task._id}`)
+      .set("Cookie", cookie);
+
+    expect(res.status).toBe(403);
+  });
+
+  test("answers 404 for invalid task IDs", async () => {
+    const { cookie } = signIn({ role: "admin" });
+
+    const res = await request(app)
+      .get("/api/tasks/not-an-id")
+      .set("Cookie", cookie);
+
+    expect(res.status).toBe(404);
+  });
+
+  test("keeps admin-only routes from members", async () => {
+    const { cookie } = signIn({ teams: [teamId] });
+
+    const res = await request(app).get("/api/activity").set("Cookie", cookie);
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe("Only admins can perform this action");
+  });
+
+  describe("POST /api/tasks", () => {
+    const body = (fields = {}) => ({
+      name: "Write docs",
+      project: newId().toString(),
+      team: teamId.toString(),
+      owners: [newId().toString()],
+      timeToComplete: 1,
+      ...fields,
+    });
+
+    test("rejects projects of another team", async () => {
+      const { cookie } = signIn({ teams: [teamId, otherTeamId] });
+      jest
+        .spyOn(Project, "findById")
+        .mockReturnValue(mockQuery({ isActive: true, team: otherTeamId }));
+      const create = jest.spyOn(Task, "create");
+
+      const res = await request(app)
+        .post("/api/tasks")
+        .set("Cookie", cookie)
+        .send(body());
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe(
+        "The project doesn't belong to the task's team"
+      );
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    test("ignores fields clients may not set", async () => {
+      const { cookie, user } = signIn({ teams: [teamId] });
+      jest
+        .spyOn(Project, "findById")
+        .mockReturnValue(mockQuery({ isActive: true, team: teamId }));
+      jest.spyOn(Task, "findOne").mockReturnValue(mockQuery(null));
+      const create = jest
+        .spyOn(Task, "create")
+        .mockImplementation(async (data) => taskOf(teamId, data));
+      jest.spyOn(Task, "findById").mockReturnValue(mockQuery({}));
+      mockActivity();
+
+      const res = await request(app)
+        .post("/api/tasks")
+        .set("Cookie", cookie)
+        .send(
+          body({
+            completedAt: "2020-01-01",
+            rank: "0",
+            series: newId().toString(),
+            createdBy: newId().toString(),
+            isActive: false,
+          })
+        );
+
+      expect(res.status).toBe(201);
+      const data = create.mock.calls[0][0];
+      expect(data).not.toHaveProperty("completedAt");
+      expect(data).not.toHaveProperty("series");
+      expect(data).not.toHaveProperty("isActive");
+      expect(data.rank).not.toBe("0");
+      expect(data.createdBy).toBe(user._id.toString());
+    });
+  });
+
+  describe("PUT /api/tasks/:id", () => {
+    test("rejects moving a task into a project of another team", async () => {
+      const { cookie } = signIn({ teams: [teamId, otherTeamId] });
+      const task = taskOf(teamId);
+      jest.spyOn(Task, "findById").mockReturnValue(mockQuery(task));
+      jest
+        .spyOn(Project, "findById")
+        .mockReturnValue(mockQuery({ isActive: true, team: otherTeamId }));
+      const save = jest.spyOn(task, "save");
+
+      const res = await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set("Cookie", cookie)
+        .send({ project: newId().toString() });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe(
+        "The project doesn't belong to the task's team"
+      );
+      expect(save).not.toHaveBeenCalled();
+    });
+  });
+});
\ No newline at end of file
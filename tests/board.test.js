@@ -0,0 +1,122 @@
+const request = require("supertest");
+const app = require("../server.js");
+const Task = require("../models/Task.js");
+const Project = require("../models/Project.js");
+const {
+  newId,
+  mockQuery,
+  taskDoc,
+  signIn,
+  mockActivity,
+  mockWorkflow,
+} = require("./helpers.js");
+
+describe("board moves", () => {
+  const teamId = newId();
+  const projectId = newId();
+  let task;
+
+  beforeEach(() => {
+    mockActivity();
+    mockWorkflow();
+    task = taskDoc({ team: teamId, project: projectId });
+    jest.spyOn(task, "save").mockResolvedValue(task);
+  });
+
+  // Move the task next to the given cards of its column
+  function moveTask(cards, body) {
+    const { cookie } = signIn({ teams: [teamId] });
+    jest.spyOn(Task, "findById").mockReturnValue(mockQuery(task));
+    jest.spyOn(Task, "find").mockReturnValue(mockQuery(cards));
+
+    return request(app)
+      .post(`/api/tasks/${task._id}/move`)
+      .set("Cookie", cookie)
+      .send(body);
+  }
+
+  const card = (rank, createdAt = new Date()) =>
+    taskDoc({ team: teamId, project: projectId, rank, createdAt });
+
+  test("keep ranks short when cards are added at the end", async () => {
+    const cards = [];
+
+    for (let i = 0; i < 50; i++) {
+      const res = await moveTask(cards, {});
+      expect(res.status).toBe(200);
+      cards.push(card(res.body.data.rank));
+    }
+
+    const ranks = cards.map(({ rank }) => rank);
+    expect(ranks.every((rank) => rank.length === 5)).toBe(true);
+    expect([...ranks].sort()).toEqual(ranks);
+  });
+
+  test("rank cards between their neighbours", async () => {
+    const res = await moveTask([card("i0000"), card("i0100")], {
+      position: 1,
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.rank > "i0000").toBe(true);
+    expect(res.body.data.rank < "i0100").toBe(true);
+  });
+
+  test("spread the column's ranks again once they get long", async () => {
+    const cards = [card("i0000"), card("i00000000001")];
+    const bulkWrite = jest.spyOn(Task, "bulkWrite").mockResolvedValue({});
+
+    const moving = moveTask(cards, { position: 1 });
+    // The column is read again with the moved card in it
+    Task.find
+      .mockReturnValueOnce(mockQuery(cards))
+      .mockReturnValueOnce(mockQuery([...cards, task]));
+    const res = await moving;
+
+    expect(res.status).toBe(200);
+    const ranks = bulkWrite.mock.calls[0][0].map(
+      ({ updateOne }) => updateOne.update.rank
+    );
+    expect(ranks).toEqual(["00100", "00200", "00300"]);
+    expect(res.body.data.rank).toHaveLength(5);
+  });
+
+  test("rank older cards once the move is saved", async () => {
+    const older = card(undefined, new Date("2024-01-01"));
+    jest.spyOn(Task, "findOne").mockReturnValue(mockQuery({ rank: "k0000" }));
+    const updateOne = jest.spyOn(Task, "updateOne").mockResolvedValue({});
+
+    const res = await moveTask([card("i0000"), older], { position: 1 });
+
+    expect(res.status).toBe(200);
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: older._id },
+      { rank: "k0100" }
+    );
+    expect(task.save.mock.invocationCallOrder[0]).toBeLessThan(
+      updateOne.mock.invocationCallOrder[0]
+    );
+  });
+
+  test("leave older cards alone when the move is refused", async () => {
+    mockWorkflow({
+      ...Project.DEFAULT_WORKFLOW,
+      statuses: [{ name: "To Do" }, { name: "In Progress", wipLimit: 1 }],
+    });
+    const count = jest.spyOn(Task, "countDocuments").mockResolvedValue(1);
+    jest.spyOn(Task, "findOne").mockReturnValue(mockQuery(null));
+    const updateOne = jest.spyOn(Task, "updateOne");
+
+    const res = await moveTask([card(undefined)], {
+      status: "In Progress",
+      position: 0,
+    });
+
+    expect(res.status).toBe(409);
+    expect(count).toHaveBeenCalledWith(
+      expect.objectContaining({ status: "In Progress", completedAt: null })
+    );
+    expect(updateOne).not.toHaveBeenCalled();
+    expect(task.save).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
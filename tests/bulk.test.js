@@ -0,0 +1,157 @@
+const request = require("supertest");
+const app = require("../server.js");
+const Task = require("../models/Task.js");
+const {
+  newId,
+  mockQuery,
+  taskDoc,
+  signIn,
+  mockActivity,
+  mockWorkflow,
+} = require("./helpers.js");
+
+describe("bulk task updates", () => {
+  const teamId = newId();
+  let record;
+
+  beforeEach(() => {
+    record = mockActivity();
+    mockWorkflow();
+  });
+
+  // Tasks of the signed in user's team, saved as the model would
+  function mockTasks(...tasks) {
+    tasks.forEach((task) =>
+      jest
+        .spyOn(task, "save")
+        .mockImplementation(() => task.validate().then(() => task))
+    );
+    jest.spyOn(Task, "find").mockReturnValue(mockQuery(tasks));
+    return tasks;
+  }
+
+  test("need a known action", async () => {
+    const { cookie } = signIn({ teams: [teamId] });
+
+    const res = await request(app)
+      .post("/api/tasks/bulk")
+      .set("Cookie", cookie)
+      .send({ ids: [newId()], action: "archive" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/^Action must be one of/);
+  });
+
+  test("need task IDs or a filter", async () => {
+    const { cookie } = signIn({ teams: [teamId] });
+
+    const res = await request(app)
+      .post("/api/tasks/bulk")
+      .set("Cookie", cookie)
+      .send({ action: "set-priority", value: "high" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("Please provide task IDs or a filter");
+  });
+
+  test("refuse more tasks than the limit", async () => {
+    const { cookie } = signIn({ teams: [teamId] });
+    const ids = Array.from({ length: 501 }, () => newId());
+
+    const res = await request(app)
+      .post("/api/tasks/bulk")
+      .set("Cookie", cookie)
+      .send({ ids, action: "set-priority", value: "high" });
+
+    expect(res.status).toBe(400);
+  });
+
+  test("report the result of each task", async () => {
+    const { cookie } = signIn({ teams: [teamId] });
+    const [task, otherTeam] = mockTasks(
+      taskDoc({ team: teamId, priority: "low" }),
+      taskDoc({ team: newId() })
+    );
+    const missing = newId().toString();
+
+    const res = await request(app)
+      .post("/api/tasks/bulk")
+      .set("Cookie", cookie)
+      .send({
+        ids: [task._id, otherTeam._id, missing],
+        action: "set-priority",
+        value: "high",
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.succeeded).toBe(1);
+    expect(res.body.failed).toBe(2);
+    expect(res.body.data).toEqual(
+      expect.arrayContaining([
+        {
+          id: task._id.toString(),
+          success: true,
+          changes: [{ field: "priority", from: "low", to: "high" }],
+        },
+        {
+          id: otherTeam._id.toString(),
+          success: false,
+          message: "You don't have access to this task",
+        },
+        { id: missing, success: false, message: "Task not found" },
+      ])
+    );
+    expect(task.priority).toBe("high");
+    expect(otherTeam.save).not.toHaveBeenCalled();
+    expect(record).toHaveBeenCalledWith(
+      expect.objectContaining({ entity: task._id })
+    );
+  });
+
+  test("keep going when a task can't be changed", async () => {
+    const { cookie } = signIn({ teams: [teamId] });
+    const [task, other] = mockTasks(
+      taskDoc({ team: teamId }),
+      taskDoc({ team: teamId })
+    );
+
+    const res = await request(app)
+      .post("/api/tasks/bulk")
+      .set("Cookie", cookie)
+      .send({
+        ids: [task._id, other._id],
+        action: "set-priority",
+        value: "someday",
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.succeeded).toBe(0);
+    expect(res.body.data.map(({ success }) => success)).toEqual([false, false]);
+    expect(res.body.data[0].message).toMatch(/priority/);
+  });
+
+  test("preview changes without saving them", async () => {
+    const { cookie } = signIn({ teams: [teamId] });
+    const owner = newId();
+    const [task] = mockTasks(taskDoc({ team: teamId }));
+
+    const res = await request(app)
+      .post("/api/tasks/bulk")
+      .set("Cookie", cookie)
+      .send({
+        ids: [task._id],
+        action: "add-owners",
+        value: [owner],
+        dryRun: true,
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.dryRun).toBe(true);
+    expect(res.body.message).toBe("1 of 1 tasks would be updated");
+    expect(res.body.data[0].changes).toEqual([
+      expect.objectContaining({ field: "owners" }),
+    ]);
+    expect(task.save).not.toHaveBeenCalled();
+    expect(record).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
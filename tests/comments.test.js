@@ -0,0 +1,97 @@
+const request = require("supertest");
+const app = require("../server.js");
+const Task = require("../models/Task.js");
+const Comment = require("../models/Comment.js");
+const { newId, mockQuery, signIn } = require("./helpers.js");
+
+describe("comments", () => {
+  const teamId = newId();
+  let task;
+
+  beforeEach(() => {
+    task = new Task({ name: "Write docs", team: teamId, project: newId() });
+    jest.spyOn(Task, "findById").mockReturnValue(mockQuery(task));
+  });
+
+  function commentBy(author) {
+    const comment = new Comment({ task: task._id, author, body: "Looks good" });
+    jest.spyOn(Comment, "findOne").mockReturnValue(mockQuery(comment));
+    jest.spyOn(comment, "save").mockResolvedValue(comment);
+    return comment;
+  }
+
+  test("are listed with pagination", async () => {
+    const { cookie } = signIn({ teams: [teamId] });
+    const find = jest
+      .spyOn(Comment, "find")
+      .mockReturnValue(mockQuery([commentBy(newId())]));
+    jest.spyOn(Comment, "countDocuments").mockReturnValue(mockQuery(1));
+
+    const res = await request(app)
+      .get(`/api/tasks/${task._id}/comments`)
+      .set("Cookie", cookie);
+
+    expect(res.status).toBe(200);
+    expect(find.mock.calls[0][0]).toEqual({ task: task._id, isActive: true });
+    expect(res.body).toMatchObject({ count: 1, total: 1, page: 1 });
+  });
+
+  test("need a body", async () => {
+    const { cookie } = signIn({ teams: [teamId] });
+
+    const res = await request(app)
+      .post(`/api/tasks/${task._id}/comments`)
+      .set("Cookie", cookie)
+      .send({ body: "   " });
+
+    expect(res.status).toBe(400);
+  });
+
+  test("are added by the current user", async () => {
+    const { cookie, user } = signIn({ teams: [teamId] });
+    const create = jest
+      .spyOn(Comment, "create")
+      .mockImplementation(async (data) => {
+        const comment = new Comment(data);
+        jest.spyOn(comment, "populate").mockResolvedValue(comment);
+        return comment;
+      });
+
+    const res = await request(app)
+      .post(`/api/tasks/${task._id}/comments`)
+      .set("Cookie", cookie)
+      .send({ body: " Looks good " });
+
+    expect(res.status).toBe(201);
+    expect(create.mock.calls[0][0]).toEqual({
+      task: task._id,
+      author: user._id.toString(),
+      body: "Looks good",
+    });
+  });
+
+  test("can't be changed by other members", async () => {
+    const { cookie } = signIn({ teams: [teamId] });
+    const comment = commentBy(newId());
+
+    const res = await request(app)
+      .put(`/api/tasks/${task._id}/comments/${comment._id}`)
+      .set("Cookie", cookie)
+      .send({ body: "Changed" });
+
+    expect(res.status).toBe(403);
+    expect(comment.body).toBe("Looks good");
+  });
+
+  test("are soft deleted by their author", async () => {
+    const { cookie, user } = signIn({ teams: [teamId] });
+    const comment = commentBy(user._id);
+
+    const res = await request(app)
+      .delete(`/api/tasks/${task._id}/comments/${comment._id}`)
+      .set("Cookie", cookie);
+
+    expect(res.status).toBe(200);
+    expect(comment.isActive).toBe(false);
+  });
+});
\ No newline at end of file
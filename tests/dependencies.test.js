@@ -0,0 +1,131 @@
+const request = require("supertest");
+const app = require("../server.js");
+const Task = require("../models/Task.js");
+const Project = require("../models/Project.js");
+const {
+  newId,
+  mockQuery,
+  fromDb,
+  taskDoc,
+  signIn,
+  mockActivity,
+  mockWorkflow,
+} = require("./helpers.js");
+
+describe("task dependencies", () => {
+  const teamId = newId();
+  let task;
+  let blocker;
+
+  beforeEach(() => {
+    task = taskDoc({ team: teamId, status: "In Progress" });
+    blocker = taskDoc({ team: teamId, project: task.project });
+    for (const doc of [task, blocker]) {
+      jest.spyOn(doc, "save").mockResolvedValue(doc);
+    }
+    mockActivity();
+    mockWorkflow();
+  });
+
+  test("block the task and remember its status", async () => {
+    const { cookie } = signIn({ teams: [teamId] });
+    jest
+      .spyOn(Task, "findById")
+      .mockReturnValueOnce(mockQuery(task))
+      .mockReturnValueOnce(mockQuery(blocker));
+    jest.spyOn(Task, "find").mockReturnValue(mockQuery([]));
+    jest.spyOn(Task, "countDocuments").mockReturnValue(mockQuery(1));
+
+    const res = await request(app)
+      .post(`/api/tasks/${task._id}/dependencies`)
+      .set("Cookie", cookie)
+      .send({ blockedBy: blocker._id.toString() });
+
+    expect(res.status).toBe(201);
+    expect(task.status).toBe("Blocked");
+    expect(task.statusBeforeBlocked).toBe("In Progress");
+  });
+
+  test("reject cycles", async () => {
+    const { cookie } = signIn({ teams: [teamId] });
+    jest
+      .spyOn(Task, "findById")
+      .mockReturnValueOnce(mockQuery(task))
+      .mockReturnValueOnce(mockQuery(blocker));
+    // The blocker already waits on the task
+    jest
+      .spyOn(Task, "find")
+      .mockReturnValue(mockQuery([{ blockedBy: [task._id] }]));
+
+    const res = await request(app)
+      .post(`/api/tasks/${task._id}/dependencies`)
+      .set("Cookie", cookie)
+      .send({ blockedBy: blocker._id.toString() });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("This dependency would create a cycle");
+  });
+
+  describe("once the last blocker is done", () => {
+    async function completeBlocker(dependent) {
+      const { cookie } = signIn({ teams: [teamId] });
+      jest.spyOn(Task, "findById").mockReturnValue(mockQuery(blocker));
+      jest.spyOn(Task, "find").mockReturnValue(mockQuery([dependent]));
+      jest.spyOn(Task, "countDocuments").mockReturnValue(mockQuery(0));
+      jest.spyOn(blocker, "populate").mockResolvedValue(blocker);
+
+      return request(app)
+        .put(`/api/tasks/${blocker._id}`)
+        .set("Cookie", cookie)
+        .send({ status: "Completed" });
+    }
+
+    test("return blocked tasks to their previous status", async () => {
+      task.blockedBy = [blocker._id];
+      task.status = "Blocked";
+      task.statusBeforeBlocked = "In Progress";
+
+      const res = await completeBlocker(task);
+
+      expect(res.status).toBe(200);
+      expect(task.status).toBe("In Progress");
+      expect(task.statusBeforeBlocked).toBeUndefined();
+    });
+
+    test("leave tasks that were blocked by hand alone", async () => {
+      task.blockedBy = [blocker._id];
+      task.status = "Blocked";
+
+      const res = await completeBlocker(task);
+
+      expect(res.status).toBe(200);
+      expect(task.status).toBe("Blocked");
+      expect(task.save).not.toHaveBeenCalled();
+    });
+  });
+
+  test("project graphs have a critical path", async () => {
+    const { cookie } = signIn({ teams: [teamId] });
+    const project = fromDb(Project, { name: "Website", team: teamId });
+    jest.spyOn(Project, "findById").mockReturnValue(mockQuery(project));
+    const design = taskDoc({ timeToComplete: 2 });
+    const build = taskDoc({ timeToComplete: 3, blockedBy: [design._id] });
+    const copy = taskDoc({ timeToComplete: 1 });
+    jest.spyOn(Task, "find").mockReturnValue(mockQuery([design, build, copy]));
+
+    const res = await request(app)
+      .get(`/api/projects/${project._id}/dependency-graph`)
+      .set("Cookie", cookie);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.totalDuration).toBe(5);
+    expect(res.body.data.criticalPath).toEqual([
+      design._id.toString(),
+      build._id.toString(),
+    ]);
+    const slack = Object.fromEntries(
+      res.body.data.nodes.map((node) => [node._id, node.slack])
+    );
+    expect(slack[copy._id.toString()]).toBe(4);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,116 @@
+const request = require("supertest");
+const ExcelJS = require("exceljs");
+const app = require("../server.js");
+const Task = require("../models/Task.js");
+const { taskDoc, signIn } = require("./helpers.js");
+
+describe("exports", () => {
+  // Query that can only be read with a cursor, so exports can't load
+  // every task at once
+  function mockTaskCursor(tasks) {
+    const cursor = jest.fn(async function* () {
+      yield* tasks;
+    });
+    const query = { populate: () => query, sort: () => query, cursor };
+    jest.spyOn(Task, "find").mockReturnValue(query);
+    return cursor;
+  }
+
+  // Read a binary response into a buffer
+  function binary(res, callback) {
+    const chunks = [];
+    res.on("data", (chunk) => chunks.push(chunk));
+    res.on("end", () => callback(null, Buffer.concat(chunks)));
+  }
+
+  test("stream last week's tasks as CSV", async () => {
+    const { cookie } = signIn({ role: "admin" });
+    const cursor = mockTaskCursor([
+      taskDoc({ name: "=SUM(A1)" }),
+      taskDoc({ name: "Ship, then rest" }),
+    ]);
+
+    const res = await request(app)
+      .get("/api/reports/last-week?format=csv&timezone=UTC")
+      .set("Cookie", cookie);
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toBe("text/csv; charset=utf-8");
+    expect(cursor).toHaveBeenCalled();
+    const lines = res.text.trim().split("\r\n");
+    expect(lines).toHaveLength(3);
+    expect(lines[1].split(",")[1]).toBe("'=SUM(A1)");
+    expect(lines[2].split(",").slice(1, 3).join(",")).toBe('"Ship, then rest"');
+  });
+
+  test("export last week's references by name like task exports", async () => {
+    mockTaskCursor([]);
+    const query = Task.find();
+    const populate = jest.spyOn(query, "populate");
+
+    for (const url of [
+      "/api/tasks?format=csv",
+      "/api/reports/last-week?format=csv&timezone=UTC",
+    ]) {
+      const { cookie } = signIn({ role: "admin" });
+      await request(app).get(url).set("Cookie", cookie);
+    }
+
+    const [taskPaths, lastWeekPaths] = populate.mock.calls.map(([paths]) =>
+      paths.map(({ path }) => path)
+    );
+    expect(taskPaths).toEqual(expect.arrayContaining(["tags", "createdBy"]));
+    expect(lastWeekPaths).toEqual(taskPaths);
+  });
+
+  test("only guard text against formulas", async () => {
+    const { cookie } = signIn({ role: "admin" });
+    mockTaskCursor([taskDoc({ name: "-1 day", timeToComplete: -5 })]);
+
+    const res = await request(app)
+      .get("/api/tasks?format=csv")
+      .set("Cookie", cookie);
+
+    const [header, row] = res.text.trim().split("\r\n");
+    const cell = (column) => row.split(",")[header.split(",").indexOf(column)];
+    expect(cell("name")).toBe("'-1 day");
+    expect(cell("timeToComplete")).toBe("-5");
+  });
+
+  test("write large spreadsheets row by row", async () => {
+    const { cookie } = signIn({ role: "admin" });
+    mockTaskCursor(
+      Array.from({ length: 2000 }, (_, i) =>
+        taskDoc({ name: `Task ${i}`, description: "x".repeat(200) })
+      )
+    );
+
+    const res = await request(app)
+      .get("/api/tasks?format=xlsx")
+      .set("Cookie", cookie)
+      .buffer(true)
+      .parse(binary);
+
+    expect(res.status).toBe(200);
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(res.body);
+    const sheet = workbook.getWorksheet("tasks");
+    expect(sheet.rowCount).toBe(2001);
+    expect(sheet.getRow(2001).getCell(2).value).toBe("Task 1999");
+  });
+
+  test("stream tasks as NDJSON", async () => {
+    const { cookie } = signIn({ role: "admin" });
+    mockTaskCursor([taskDoc({ name: "Write docs" })]);
+
+    const res = await request(app)
+      .get("/api/tasks")
+      .set("Accept", "application/x-ndjson")
+      .set("Cookie", cookie)
+      .buffer(true)
+      .parse(binary);
+
+    const [row] = res.body.toString().trim().split("\n").map(JSON.parse);
+    expect(row).toMatchObject({ name: "Write docs", dueDate: null });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,102 @@
+// Helpers shared by the API tests. Models are mocked with jest.spyOn, so
+// every database call a test relies on has to be mocked by the test.
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const User = require("../models/User.js");
+const Team = require("../models/Team.js");
+const Session = require("../models/Session.js");
+const Activity = require("../models/Activity.js");
+const Project = require("../models/Project.js");
+const Task = require("../models/Task.js");
+
+const newId = () => new mongoose.Types.ObjectId();
+
+// Stand-in for a Mongoose query resolving to a value, whatever is chained
+// on it. Arrays can also be iterated like a query cursor.
+function mockQuery(value) {
+  const query = new Proxy(function () {}, {
+    get(target, prop) {
+      if (prop === "then") {
+        return (resolve, reject) =>
+          Promise.resolve(value).then(resolve, reject);
+      }
+      if (prop === "exec") return () => Promise.resolve(value);
+      if (prop === Symbol.asyncIterator) {
+        return async function* () {
+          yield* value;
+        };
+      }
+      return () => query;
+    },
+  });
+
+  return query;
+}
+
+// Document as if loaded from the database, so nothing counts as modified
+function fromDb(Model, fields = {}) {
+  return Model.hydrate(new Model(fields).toObject());
+}
+
+// Task loaded from the database, with defaults for the required fields
+function taskDoc(fields = {}) {
+  return fromDb(Task, {
+    name: "Write docs",
+    project: newId(),
+    team: newId(),
+    owners: [newId()],
+    timeToComplete: 1,
+    status: "To Do",
+    createdBy: newId(),
+    ...fields,
+  });
+}
+
+// Sign in as a user, returning the user and the cookie to send. Mocks the
+// lookups verifyToken makes and, for members, the teams they belong to.
+function signIn({ teams = [], ...fields } = {}) {
+  const user = {
+    _id: newId(),
+    username: "alice",
+    role: "user",
+    isActive: true,
+    ...fields,
+  };
+  const session = { _id: newId(), user: user._id };
+
+  jest.spyOn(User, "findById").mockReturnValueOnce(mockQuery(user));
+  jest.spyOn(Session, "findById").mockReturnValueOnce(mockQuery(session));
+  if (user.role !== "admin") {
+    jest
+      .spyOn(Team, "find")
+      .mockReturnValueOnce(mockQuery(teams.map((_id) => ({ _id }))));
+  }
+
+  const token = jwt.sign(
+    { id: user._id, username: user.username, sid: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: "15m" }
+  );
+
+  return { user, session, cookie: `access_token=${token}` };
+}
+
+// Keep activity entries out of the database, returning the mock
+function mockActivity() {
+  return jest.spyOn(Activity, "create").mockResolvedValue({});
+}
+
+// Workflow every project uses, the default one unless given
+function mockWorkflow(workflow = Project.DEFAULT_WORKFLOW) {
+  return jest.spyOn(Project, "getWorkflowFor").mockResolvedValue(workflow);
+}
+
+module.exports = {
+  newId,
+  mockQuery,
+  fromDb,
+  taskDoc,
+  signIn,
+  mockActivity,
+  mockWorkflow,
+};
\ No newline at end of file
@@ -0,0 +1,139 @@
+const request = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../server.js");
+const User = require("../models/User.js");
+const View = require("../models/View.js");
+const { fromDb, signIn } = require("./helpers.js");
+
+describe("list routes", () => {
+  let queries;
+
+  // Run queries without a database, recording them. Finds return the
+  // documents given for their model, counts return how many there are.
+  function mockQueries(docsByModel = {}) {
+    queries = [];
+    jest
+      .spyOn(mongoose.Query.prototype, "exec")
+      .mockImplementation(function () {
+        queries.push(this);
+        const docs = docsByModel[this.model.modelName] || [];
+        return Promise.resolve(
+          this.op === "countDocuments"
+            ? docs.length
+            : docs.slice(0, this.options.limit)
+        );
+      });
+  }
+
+  const findQuery = () => queries.find((query) => query.op === "find");
+
+  test("leave internal fields out of user pages", async () => {
+    const { cookie } = signIn({ role: "admin" });
+    mockQueries();
+
+    const res = await request(app).get("/api/users").set("Cookie", cookie);
+
+    expect(res.status).toBe(200);
+    expect(findQuery()._fields).toEqual(
+      User.find().select("-password -__v")._fields
+    );
+    expect(res.body).toMatchObject({ total: 0, page: 1, totalPages: 0 });
+  });
+
+  test("select the fields asked for and the sort fields", async () => {
+    const { cookie } = signIn({ role: "admin" });
+    mockQueries();
+
+    const res = await request(app)
+      .get("/api/users?fields=email")
+      .set("Cookie", cookie);
+
+    expect(res.status).toBe(200);
+    expect(findQuery()._fields).toEqual({ email: 1, name: 1, _id: 1 });
+  });
+
+  test("refuse fields that can't be selected", async () => {
+    const { cookie } = signIn({ role: "admin" });
+    mockQueries();
+
+    const res = await request(app)
+      .get("/api/users?fields=name,password")
+      .set("Cookie", cookie);
+
+    expect(res.status).toBe(400);
+    expect(queries).toHaveLength(0);
+  });
+
+  test("page through users by cursor", async () => {
+    const { cookie } = signIn({ role: "admin" });
+    const users = ["Alice", "Bob", "Carol"].map((name) =>
+      fromDb(User, {
+        name,
+        username: name.toLowerCase(),
+        email: `${name}@example.com`,
+      })
+    );
+    mockQueries({ [User.modelName]: users });
+
+    const first = await request(app)
+      .get("/api/users?cursor=&limit=2")
+      .set("Cookie", cookie);
+
+    expect(first.status).toBe(200);
+    expect(first.body.data.map(({ name }) => name)).toEqual(["Alice", "Bob"]);
+    expect(first.body.hasMore).toBe(true);
+    expect(first.body.total).toBeUndefined();
+
+    const second = await request(app)
+      .get(`/api/users?cursor=${first.body.nextCursor}&limit=2`)
+      .set("Cookie", signIn({ role: "admin" }).cookie);
+
+    expect(second.status).toBe(200);
+    expect(queries[1].getFilter().$and[1]).toEqual({
+      $or: [
+        { $and: [{ name: { $gt: "Bob" } }] },
+        { $and: [{ name: "Bob" }, { _id: { $gt: users[1]._id.toString() } }] },
+      ],
+    });
+  });
+
+  test("refuse cursors of another sort", async () => {
+    const { cookie } = signIn({ role: "admin" });
+    mockQueries();
+
+    const res = await request(app)
+      .get("/api/users?cursor=bm90IGEgY3Vyc29y")
+      .set("Cookie", cookie);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("Invalid cursor");
+  });
+
+  test("expand view references unless asked not to", async () => {
+    const { cookie } = signIn({ role: "admin" });
+    mockQueries();
+
+    await request(app).get("/api/views").set("Cookie", cookie);
+    signIn({ role: "admin" });
+    await request(app).get("/api/views?expand=team").set("Cookie", cookie);
+
+    const populated = queries.map((query) =>
+      Object.keys(query._mongooseOptions.populate || {})
+    );
+    expect(populated).toEqual([["owner", "team"], ["team"]]);
+  });
+
+  test("paginate views when asked to", async () => {
+    const { cookie } = signIn({ role: "admin" });
+    mockQueries({
+      [View.modelName]: [fromDb(View, { name: "Mine" })],
+    });
+
+    const res = await request(app)
+      .get("/api/views?page=1&limit=10")
+      .set("Cookie", cookie);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ count: 1, total: 1, totalPages: 1 });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,152 @@
+const request = require("supertest");
+const bcrypt = require("bcrypt");
+const app = require("../server.js");
+const User = require("../models/User.js");
+const Session = require("../models/Session.js");
+const VerificationToken = require("../models/VerificationToken.js");
+const AccessToken = require("../models/AccessToken.js");
+const { setMailTransport } = require("../mail/mail.transport.js");
+const { mockQuery } = require("./helpers.js");
+
+describe("password reset and email verification", () => {
+  let user;
+  let send;
+
+  beforeEach(() => {
+    user = new User({
+      username: "alice",
+      name: "Alice",
+      email: "alice@example.com",
+      password: "hashed",
+    });
+    send = jest.fn().mockResolvedValue();
+    setMailTransport({ send });
+  });
+
+  describe("POST /api/auth/forgot-password", () => {
+    test("rejects an email that isn't a string", async () => {
+      const res = await request(app)
+        .post("/api/auth/forgot-password")
+        .send({ email: { $ne: null } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe("Please provide your email");
+    });
+
+    test("responds the same way for unknown emails", async () => {
+      jest.spyOn(User, "findOne").mockReturnValue(mockQuery(null));
+
+      const res = await request(app)
+        .post("/api/auth/forgot-password")
+        .send({ email: "nobody@example.com" });
+
+      expect(res.status).toBe(200);
+      expect(send).not.toHaveBeenCalled();
+    });
+
+    test("emails a reset link to known users", async () => {
+      jest.spyOn(User, "findOne").mockReturnValue(mockQuery(user));
+      jest.spyOn(VerificationToken, "deleteMany").mockResolvedValue({});
+      const create = jest
+        .spyOn(VerificationToken, "create")
+        .mockResolvedValue({});
+
+      const res = await request(app)
+        .post("/api/auth/forgot-password")
+        .send({ email: " Alice@Example.com " });
+
+      expect(res.status).toBe(200);
+      expect(User.findOne.mock.calls[0][0].email).toBe("alice@example.com");
+      expect(create.mock.calls[0][0].type).toBe("password-reset");
+      expect(send.mock.calls[0][0].text).toMatch(/reset-password\?token=/);
+    });
+  });
+
+  describe("POST /api/auth/reset-password", () => {
+    test("rejects a password that isn't a string", async () => {
+      const res = await request(app)
+        .post("/api/auth/reset-password")
+        .send({ token: "token", password: ["long enough"] });
+
+      expect(res.status).toBe(400);
+    });
+
+    test("rejects short passwords", async () => {
+      const res = await request(app)
+        .post("/api/auth/reset-password")
+        .send({ token: "token", password: "short" });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe(
+        "Password must be at least 8 characters long"
+      );
+    });
+
+    test("sets the password and signs out everywhere", async () => {
+      const revokeTokens = jest
+        .spyOn(AccessToken, "updateMany")
+        .mockReturnValue(mockQuery({}));
+      jest
+        .spyOn(VerificationToken, "findOneAndUpdate")
+        .mockReturnValue(mockQuery({ user: user._id }));
+      jest.spyOn(User, "findById").mockReturnValue(mockQuery(user));
+      jest.spyOn(user, "save").mockResolvedValue(user);
+      const revoke = jest
+        .spyOn(Session, "updateMany")
+        .mockReturnValue(mockQuery({}));
+
+      const res = await request(app)
+        .post("/api/auth/reset-password")
+        .send({ token: "token", password: "new password" });
+
+      expect(res.status).toBe(200);
+      expect(await bcrypt.compare("new password", user.password)).toBe(true);
+      expect(user.emailVerified).toBe(true);
+      expect(revoke.mock.calls[0][1].revokedReason).toBe("password-changed");
+      expect(revokeTokens).toHaveBeenCalledWith(
+        { user: user._id, revokedAt: null },
+        { revokedAt: expect.any(Date) }
+      );
+    });
+
+    test("rejects used or expired links", async () => {
+      jest
+        .spyOn(VerificationToken, "findOneAndUpdate")
+        .mockReturnValue(mockQuery(null));
+
+      const res = await request(app)
+        .post("/api/auth/reset-password")
+        .send({ token: "token", password: "new password" });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe("Invalid or expired reset link");
+    });
+  });
+
+  describe("POST /api/auth/verify-email", () => {
+    test("rejects a token that isn't a string", async () => {
+      const res = await request(app)
+        .post("/api/auth/verify-email")
+        .send({ token: { $gt: "" } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe("Verification token is required");
+    });
+
+    test("marks the email as verified", async () => {
+      jest
+        .spyOn(VerificationToken, "findOneAndUpdate")
+        .mockReturnValue(mockQuery({ user: user._id }));
+      const update = jest
+        .spyOn(User, "findByIdAndUpdate")
+        .mockReturnValue(mockQuery(user));
+
+      const res = await request(app)
+        .post("/api/auth/verify-email")
+        .send({ token: "token" });
+
+      expect(res.status).toBe(200);
+      expect(update.mock.calls[0][1].emailVerified).toBe(true);
+    });
+  });
+});
\ No newline at end of file
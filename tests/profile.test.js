@@ -0,0 +1,175 @@
+const request = require("supertest");
+const bcrypt = require("bcrypt");
+const app = require("../server.js");
+const User = require("../models/User.js");
+const Session = require("../models/Session.js");
+const AccessToken = require("../models/AccessToken.js");
+const { mockQuery, signIn } = require("./helpers.js");
+
+describe("profile and user management", () => {
+  let account;
+
+  beforeEach(async () => {
+    account = new User({
+      username: "alice",
+      name: "Alice",
+      email: "alice@example.com",
+      password: await bcrypt.hash("old password", 4),
+    });
+  });
+
+  // Sign in as the account, later User.findById calls return it
+  function signInAsAccount(fields) {
+    const signedIn = signIn({ _id: account._id, ...fields });
+    User.findById.mockReturnValue(mockQuery(account));
+    return signedIn;
+  }
+
+  describe("PUT /api/auth/user", () => {
+    test("trims and lowercases the username", async () => {
+      const { cookie } = signInAsAccount();
+      jest.spyOn(User, "findOne").mockReturnValue(mockQuery(null));
+      jest.spyOn(account, "save").mockResolvedValue(account);
+
+      const res = await request(app)
+        .put("/api/auth/user")
+        .set("Cookie", cookie)
+        .send({ username: "  Bob  ", name: " Bob " });
+
+      expect(res.status).toBe(200);
+      expect(User.findOne.mock.calls[0][0]).toEqual({ username: "bob" });
+      expect(res.body.user.username).toBe("bob");
+      expect(res.body.user.name).toBe("Bob");
+    });
+
+    test("rejects a username that is taken", async () => {
+      const { cookie } = signInAsAccount();
+      jest.spyOn(User, "findOne").mockReturnValue(mockQuery({}));
+
+      const res = await request(app)
+        .put("/api/auth/user")
+        .set("Cookie", cookie)
+        .send({ username: "bob" });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe("Username already exists");
+    });
+
+    test("rejects values that aren't strings", async () => {
+      const { cookie } = signInAsAccount();
+
+      const res = await request(app)
+        .put("/api/auth/user")
+        .set("Cookie", cookie)
+        .send({ username: ["bob"] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe("Username cannot be empty");
+    });
+
+    test("reports model validation errors as bad requests", async () => {
+      const { cookie } = signInAsAccount();
+      jest.spyOn(User, "findOne").mockReturnValue(mockQuery(null));
+
+      const res = await request(app)
+        .put("/api/auth/user")
+        .set("Cookie", cookie)
+        .send({ email: "alice@example.info" });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toMatch(/valid email/);
+    });
+  });
+
+  describe("POST /api/auth/change-password", () => {
+    test("rejects a password that isn't a string", async () => {
+      const { cookie } = signInAsAccount();
+
+      const res = await request(app)
+        .post("/api/auth/change-password")
+        .set("Cookie", cookie)
+        .send({ currentPassword: "old password", newPassword: { length: 9 } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe("Please provide all required fields");
+    });
+
+    test("checks the current password", async () => {
+      const { cookie } = signInAsAccount();
+
+      const res = await request(app)
+        .post("/api/auth/change-password")
+        .set("Cookie", cookie)
+        .send({
+          currentPassword: "wrong password",
+          newPassword: "new password",
+        });
+
+      expect(res.status).toBe(401);
+    });
+
+    test("signs out the other sessions and revokes access tokens", async () => {
+      const { cookie, session } = signInAsAccount();
+      const revokeTokens = jest
+        .spyOn(AccessToken, "updateMany")
+        .mockReturnValue(mockQuery({}));
+      jest.spyOn(account, "save").mockResolvedValue(account);
+      const revoke = jest
+        .spyOn(Session, "updateMany")
+        .mockReturnValue(mockQuery({}));
+      const current = new Session({ _id: session._id, user: account._id });
+      Session.findById.mockReturnValue(mockQuery(current));
+      jest.spyOn(current, "save").mockResolvedValue(current);
+
+      const res = await request(app)
+        .post("/api/auth/change-password")
+        .set("Cookie", cookie)
+        .send({ currentPassword: "old password", newPassword: "new password" });
+
+      expect(res.status).toBe(200);
+      expect(revoke.mock.calls[0][0]._id).toEqual({
+        $ne: session._id.toString(),
+      });
+      expect(current.tokenHash).toBeDefined();
+      expect(revokeTokens.mock.calls[0][0]).toEqual({
+        user: account._id,
+        revokedAt: null,
+      });
+    });
+  });
+
+  describe("admin user management", () => {
+    test("is limited to admins", async () => {
+      const { cookie } = signIn();
+
+      const res = await request(app)
+        .patch(`/api/users/${account._id}/role`)
+        .set("Cookie", cookie)
+        .send({ role: "admin" });
+
+      expect(res.status).toBe(403);
+    });
+
+    test("keeps admins from changing their own role", async () => {
+      const { cookie, user } = signIn({ role: "admin" });
+
+      const res = await request(app)
+        .patch(`/api/users/${user._id}/role`)
+        .set("Cookie", cookie)
+        .send({ role: "user" });
+
+      expect(res.status).toBe(400);
+    });
+
+    test("answers 404 for invalid user IDs", async () => {
+      const { cookie } = signIn({ role: "admin" });
+
+      const res = await request(app)
+        .patch("/api/users/not-an-id/status")
+        .set("Cookie", cookie)
+        .send({ isActive: false });
+
+      expect(res.status).toBe(404);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,156 @@
+const request = require("supertest");
+const app = require("../server.js");
+const Task = require("../models/Task.js");
+const Project = require("../models/Project.js");
+const {
+  newId,
+  mockQuery,
+  taskDoc,
+  signIn,
+  mockActivity,
+} = require("./helpers.js");
+
+describe("projects", () => {
+  const teamId = newId();
+  let project;
+
+  beforeEach(() => {
+    project = new Project({ name: "Website", team: teamId, status: "active" });
+    jest.spyOn(project, "save").mockResolvedValue(project);
+    mockActivity();
+  });
+
+  test("answer 404 for invalid project IDs", async () => {
+    const { cookie } = signIn({ role: "admin" });
+
+    const res = await request(app)
+      .get("/api/projects/not-an-id")
+      .set("Cookie", cookie);
+
+    expect(res.status).toBe(404);
+  });
+
+  test("reject invalid team filters", async () => {
+    const { cookie } = signIn({ role: "admin" });
+
+    const res = await request(app)
+      .get("/api/projects?team=not-an-id")
+      .set("Cookie", cookie);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("Please provide a valid team ID");
+  });
+
+  test("only create projects from the allowed fields", async () => {
+    const { cookie } = signIn({ role: "admin" });
+    const create = jest.spyOn(Project, "create").mockResolvedValue(project);
+
+    const res = await request(app)
+      .post("/api/projects")
+      .set("Cookie", cookie)
+      .send({ name: "Website", isActive: false, createdAt: "2020-01-01" });
+
+    expect(res.status).toBe(201);
+    expect(create).toHaveBeenCalledWith({ name: "Website" });
+  });
+
+  test("move the tasks along with the project team", async () => {
+    const { cookie } = signIn({ role: "admin" });
+    const newTeamId = newId();
+    const task = taskDoc({ team: teamId, project: project._id });
+    jest.spyOn(Project, "findById").mockReturnValue(mockQuery(project));
+    jest.spyOn(project, "populate").mockResolvedValue(project);
+    jest.spyOn(Task, "find").mockReturnValue(mockQuery([task]));
+    const updateTasks = jest
+      .spyOn(Task, "updateMany")
+      .mockReturnValue(mockQuery({}));
+
+    const res = await request(app)
+      .put(`/api/projects/${project._id}`)
+      .set("Cookie", cookie)
+      .send({ team: newTeamId.toString() });
+
+    expect(res.status).toBe(200);
+    expect(updateTasks).toHaveBeenCalledWith(
+      { project: project._id, team: { $ne: project.team } },
+      { team: project.team }
+    );
+    expect(task.team).toEqual(newTeamId);
+  });
+
+  test("reject duplicate names with a conflict", async () => {
+    const { cookie } = signIn({ role: "admin" });
+    jest
+      .spyOn(Project, "create")
+      .mockRejectedValue(Object.assign(new Error("E11000"), { code: 11000 }));
+
+    const res = await request(app)
+      .post("/api/projects")
+      .set("Cookie", cookie)
+      .send({ name: "Website", team: teamId.toString() });
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe("Project name already exists");
+  });
+
+  test("only follow the allowed status transitions", async () => {
+    const { cookie } = signIn({ role: "admin" });
+    project.status = "completed";
+    jest.spyOn(Project, "findById").mockReturnValue(mockQuery(project));
+
+    const res = await request(app)
+      .put(`/api/projects/${project._id}`)
+      .set("Cookie", cookie)
+      .send({ status: "planning" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe(
+      "Cannot change project status from completed to planning"
+    );
+    expect(project.save).not.toHaveBeenCalled();
+  });
+
+  describe("DELETE /api/projects/:id", () => {
+    beforeEach(() => {
+      jest.spyOn(Project, "findById").mockReturnValue(mockQuery(project));
+    });
+
+    test("keeps projects with open tasks unless forced", async () => {
+      const { cookie } = signIn({ teams: [teamId] });
+      jest
+        .spyOn(Task, "aggregate")
+        .mockResolvedValue([{ _id: false, count: 3, days: 3 }]);
+
+      const res = await request(app)
+        .delete(`/api/projects/${project._id}`)
+        .set("Cookie", cookie);
+
+      expect(res.status).toBe(409);
+      expect(res.body.openTasks).toBe(3);
+      expect(project.isActive).toBe(true);
+    });
+
+    test("deletes the tasks with the project", async () => {
+      const { cookie } = signIn({ teams: [teamId] });
+      const task = new Task({ project: project._id, team: teamId });
+      jest.spyOn(task, "save").mockResolvedValue(task);
+      jest
+        .spyOn(Task, "aggregate")
+        .mockResolvedValue([{ _id: false, count: 1, days: 1 }]);
+      jest
+        .spyOn(Task, "find")
+        .mockReturnValueOnce(mockQuery([task]))
+        .mockReturnValue(mockQuery([]));
+      jest.spyOn(Task, "updateMany").mockReturnValue(mockQuery({}));
+
+      const res = await request(app)
+        .delete(`/api/projects/${project._id}?force=true`)
+        .set("Cookie", cookie);
+
+      expect(res.status).toBe(200);
+      expect(res.body.deletedTasks).toBe(1);
+      expect(project.isActive).toBe(false);
+      expect(task.isActive).toBe(false);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,154 @@
+const request = require("supertest");
+const app = require("../server.js");
+const Task = require("../models/Task.js");
+const {
+  newId,
+  mockQuery,
+  taskDoc,
+  signIn,
+  mockActivity,
+} = require("./helpers.js");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("recurring tasks", () => {
+  const teamId = newId();
+  const rule = { frequency: "daily", isActive: true };
+  let record;
+
+  beforeEach(() => {
+    record = mockActivity();
+  });
+
+  // Occurrences of a daily series, the first one loaded by the route
+  function mockSeries(...occurrences) {
+    occurrences.forEach((occurrence) =>
+      jest.spyOn(occurrence, "save").mockResolvedValue(occurrence)
+    );
+    jest.spyOn(Task, "findById").mockReturnValue(mockQuery(occurrences[0]));
+    jest.spyOn(Task, "find").mockReturnValue(mockQuery(occurrences));
+  }
+
+  test("apply series edits to every open occurrence", async () => {
+    const { cookie } = signIn({ teams: [teamId] });
+    const fields = { team: teamId, recurrence: rule, dueDate: new Date() };
+    const task = taskDoc(fields);
+    const done = taskDoc({ ...fields, series: task._id, status: "Done" });
+    done.completedAt = new Date();
+    const upcoming = taskDoc({ ...fields, series: task._id });
+    mockSeries(task, done, upcoming);
+
+    const res = await request(app)
+      .put(`/api/tasks/${task._id}/recurrence`)
+      .set("Cookie", cookie)
+      .send({ name: "Water the plants", priority: "high" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.frequency).toBe("daily");
+    expect(task.name).toBe("Water the plants");
+    expect(upcoming.name).toBe("Water the plants");
+    expect(upcoming.priority).toBe("high");
+    expect(done.name).toBe("Write docs");
+    expect(done.save).not.toHaveBeenCalled();
+    expect(record).toHaveBeenCalledWith(
+      expect.objectContaining({ entity: upcoming._id, action: "updated" })
+    );
+  });
+
+  test("leave the series untouched when an edit is invalid", async () => {
+    const { cookie } = signIn({ teams: [teamId] });
+    const fields = { team: teamId, recurrence: rule, dueDate: new Date() };
+    const task = taskDoc(fields);
+    const upcoming = taskDoc({ ...fields, series: task._id });
+    mockSeries(task, upcoming);
+
+    const res = await request(app)
+      .put(`/api/tasks/${task._id}/recurrence`)
+      .set("Cookie", cookie)
+      .send({ priority: "someday" });
+
+    expect(res.status).toBe(400);
+    expect(task.save).not.toHaveBeenCalled();
+    expect(upcoming.save).not.toHaveBeenCalled();
+  });
+
+  test("need a rule to edit tasks that don't recur", async () => {
+    const { cookie } = signIn({ teams: [teamId] });
+    const task = taskDoc({ team: teamId });
+    mockSeries(task);
+
+    const res = await request(app)
+      .put(`/api/tasks/${task._id}/recurrence`)
+      .set("Cookie", cookie)
+      .send({ name: "Water the plants" });
+
+    expect(res.status).toBe(404);
+  });
+
+  test("record stopping a series on each of its occurrences", async () => {
+    const { cookie } = signIn({ teams: [teamId] });
+    const fields = { team: teamId, recurrence: rule, dueDate: new Date() };
+    const task = taskDoc(fields);
+    const upcoming = taskDoc({ ...fields, series: task._id });
+    mockSeries(task, upcoming);
+    jest.spyOn(Task, "updateMany").mockReturnValue(mockQuery({}));
+
+    const res = await request(app)
+      .delete(`/api/tasks/${task._id}/recurrence`)
+      .set("Cookie", cookie);
+
+    expect(res.status).toBe(200);
+    expect(record).toHaveBeenCalledTimes(2);
+    expect(record).toHaveBeenCalledWith(
+      expect.objectContaining({
+        entity: upcoming._id,
+        changes: [{ field: "recurrence.isActive", from: true, to: false }],
+      })
+    );
+  });
+
+  test("catch up on every occurrence missed by the scheduler", async () => {
+    const now = Date.now();
+    const task = taskDoc({
+      recurrence: rule,
+      dueDate: new Date(now - 3 * DAY + 60 * 60 * 1000),
+    });
+    jest
+      .spyOn(Task, "find")
+      .mockReturnValueOnce(mockQuery([task]))
+      .mockReturnValue(mockQuery([]));
+    jest.spyOn(Task, "findOne").mockReturnValue(mockQuery(null));
+    jest.spyOn(Task, "findOneAndUpdate").mockResolvedValue({});
+    const create = jest
+      .spyOn(Task, "create")
+      .mockImplementation(async (fields) => taskDoc(fields));
+
+    await app.createScheduledOccurrences();
+
+    const dueDates = create.mock.calls.map(([fields]) => fields.dueDate);
+    expect(dueDates).toHaveLength(3);
+    expect(dueDates[1] <= now).toBe(true);
+    expect(dueDates[2] > now).toBe(true);
+    expect(create.mock.calls[2][0].series).toEqual(task._id);
+  });
+
+  test("leave long-missed occurrences to the next scheduler runs", async () => {
+    const task = taskDoc({
+      recurrence: rule,
+      dueDate: new Date(Date.now() - 200 * DAY),
+    });
+    jest
+      .spyOn(Task, "find")
+      .mockReturnValueOnce(mockQuery([task]))
+      .mockReturnValue(mockQuery([]));
+    jest.spyOn(Task, "findOne").mockReturnValue(mockQuery(null));
+    jest.spyOn(Task, "findOneAndUpdate").mockResolvedValue({});
+    const create = jest
+      .spyOn(Task, "create")
+      .mockImplementation(async (fields) => taskDoc(fields));
+
+    await app.createScheduledOccurrences();
+
+    expect(create).toHaveBeenCalledTimes(50);
+  });
+});
\ No newline at end of file
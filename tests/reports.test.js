@@ -0,0 +1,286 @@
+const request = require("supertest");
+const moment = require("moment-timezone");
+const app = require("../server.js");
+const Task = require("../models/Task.js");
+const Project = require("../models/Project.js");
+const Team = require("../models/Team.js");
+const Activity = require("../models/Activity.js");
+const { newId, mockQuery, fromDb, taskDoc, signIn } = require("./helpers.js");
+
+describe("burndown report", () => {
+  let project;
+  let histories;
+
+  beforeEach(() => {
+    project = fromDb(Project, {
+      name: "Website",
+      team: newId(),
+      startDate: new Date("2024-03-01"),
+      endDate: new Date("2024-03-05"),
+    });
+    jest.spyOn(Project, "findById").mockReturnValue(mockQuery(project));
+    jest.spyOn(Activity, "distinct").mockResolvedValue([]);
+    histories = jest.spyOn(Activity, "find").mockReturnValue(mockQuery([]));
+  });
+
+  // Tasks of the project, as they are now
+  function mockTasks(tasks) {
+    jest.spyOn(Task, "find").mockReturnValue(mockQuery(tasks));
+  }
+
+  function getBurndown(query = {}) {
+    const { cookie } = signIn({ role: "admin" });
+    return request(app)
+      .get(`/api/reports/projects/${project._id}/burndown`)
+      .query(query)
+      .set("Cookie", cookie);
+  }
+
+  test("count days in the report's time zone", async () => {
+    const task = taskDoc({
+      project: project._id,
+      timeToComplete: 4,
+      createdAt: new Date("2024-03-02T12:00:00Z"),
+    });
+    // Still March 3rd in New York
+    task.completedAt = new Date("2024-03-04T03:00:00Z");
+    mockTasks([task]);
+
+    const res = await getBurndown({ timezone: "America/New_York" });
+
+    expect(res.status).toBe(200);
+    expect(
+      res.body.data.days.map(({ date, remaining }) => [date, remaining])
+    ).toEqual([
+      ["2024-03-01", 0],
+      ["2024-03-02", 4],
+      ["2024-03-03", 0],
+      ["2024-03-04", 0],
+      ["2024-03-05", 0],
+    ]);
+  });
+
+  test("start the ideal line from the most work when day one is empty", async () => {
+    mockTasks([
+      taskDoc({
+        project: project._id,
+        timeToComplete: 4,
+        createdAt: new Date("2024-03-02T12:00:00Z"),
+      }),
+    ]);
+
+    const res = await getBurndown({ timezone: "UTC" });
+
+    expect(res.body.data.days.map(({ ideal }) => ideal)).toEqual([
+      4, 3, 2, 1, 0,
+    ]);
+  });
+
+  test("replay task histories a batch at a time", async () => {
+    mockTasks(
+      Array.from({ length: 250 }, () =>
+        taskDoc({ project: project._id, createdAt: new Date("2024-02-01") })
+      )
+    );
+
+    const res = await getBurndown({ timezone: "UTC" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.days[0].openTasks).toBe(250);
+    expect(histories).toHaveBeenCalledTimes(2);
+    expect(histories.mock.calls[0][0].entity.$in).toHaveLength(200);
+  });
+
+  test("need a known time zone", async () => {
+    const res = await getBurndown({ timezone: "Mars/Olympus" });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe("velocity report", () => {
+  let team;
+
+  beforeEach(() => {
+    team = fromDb(Team, { name: "Design" });
+    jest.spyOn(Team, "findById").mockReturnValue(mockQuery(team));
+  });
+
+  function getVelocity(query = {}) {
+    const { cookie } = signIn({ role: "admin" });
+    return request(app)
+      .get(`/api/reports/teams/${team._id}/velocity`)
+      .query(query)
+      .set("Cookie", cookie);
+  }
+
+  test("starts weeks on Monday in the report's time zone", async () => {
+    // Early on Monday in Tokyo is still Sunday in UTC
+    const weekStart = moment.tz("Asia/Tokyo").startOf("isoWeek");
+    const task = taskDoc({
+      team: team._id,
+      timeToComplete: 2,
+      completedAt: weekStart.clone().add(1, "hour").toDate(),
+    });
+    jest.spyOn(Task, "find").mockReturnValue(mockQuery([task]));
+
+    const res = await getVelocity({ weeks: 2, timezone: "Asia/Tokyo" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.weeks[1]).toEqual({
+      weekStart: weekStart.format("YYYY-MM-DD"),
+      completedTasks: 1,
+      completedDays: 2,
+    });
+  });
+
+  test("needs a known time zone", async () => {
+    const res = await getVelocity({ timezone: "Mars/Olympus" });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe("completion report", () => {
+  let aggregate;
+
+  beforeEach(() => {
+    aggregate = jest.spyOn(Task, "aggregate").mockResolvedValue([]);
+  });
+
+  function getReport(path, query) {
+    const { cookie } = signIn({ role: "admin" });
+    return request(app).get(path).query(query).set("Cookie", cookie);
+  }
+
+  test("fills the buckets of the range in its time zone", async () => {
+    aggregate.mockResolvedValue([
+      { _id: "2024-03-02", count: 2, estimateDays: 3 },
+    ]);
+
+    const res = await getReport("/api/reports/completed", {
+      from: "2024-03-01",
+      to: "2024-03-03",
+      timezone: "Asia/Tokyo",
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.totalCompleted).toBe(2);
+    expect(res.body.data.buckets.map(({ key, count }) => [key, count])).toEqual(
+      [
+        ["2024-03-01", 0],
+        ["2024-03-02", 2],
+        ["2024-03-03", 0],
+      ]
+    );
+    const [match, group] = aggregate.mock.calls[0][0];
+    expect(match.$match.completedAt.$gte).toEqual(
+      new Date("2024-02-29T15:00:00Z")
+    );
+    expect(group.$group._id.$dateToString.timezone).toBe("Asia/Tokyo");
+  });
+
+  test("buckets by ISO week", async () => {
+    const res = await getReport("/api/reports/completed", {
+      from: "2024-03-06",
+      to: "2024-03-17",
+      granularity: "week",
+      timezone: "UTC",
+    });
+
+    expect(res.body.data.buckets.map(({ key }) => key)).toEqual([
+      "2024-W10",
+      "2024-W11",
+    ]);
+    expect(res.body.data.from).toBe("2024-03-04T00:00:00Z");
+  });
+
+  test.each([
+    [{ granularity: "hour" }, "Granularity must be one of day, week or month"],
+    [
+      { timezone: "Mars/Olympus" },
+      "Time zone must be an IANA time zone like Europe/Berlin",
+    ],
+    [
+      { from: "2024-03-05", to: "2024-03-01" },
+      "The from date must be before the to date",
+    ],
+    [
+      { from: "2020-01-01", to: "2024-01-01" },
+      "Reports can have at most 366 buckets",
+    ],
+  ])("refuses invalid ranges %p", async (query, message) => {
+    const res = await getReport("/api/reports/completed", query);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe(message);
+    expect(aggregate).not.toHaveBeenCalled();
+  });
+
+  test("keeps last week as the last 7 days in the time zone", async () => {
+    jest.spyOn(Task, "find").mockReturnValue(mockQuery([]));
+
+    const res = await getReport("/api/reports/last-week", {
+      timezone: "Pacific/Auckland",
+    });
+
+    expect(res.status).toBe(200);
+    const days = Object.keys(res.body.data.dailyStats);
+    expect(days).toHaveLength(7);
+    expect(days[6]).toBe(moment.tz("Pacific/Auckland").format("YYYY-MM-DD"));
+  });
+});
+
+describe("closed tasks report", () => {
+  function getClosedTasks(groupBy) {
+    const { cookie } = signIn({ role: "admin" });
+    return request(app)
+      .get("/api/reports/closed-tasks")
+      .query({ groupBy })
+      .set("Cookie", cookie);
+  }
+
+  test("counts legacy stats once per task of the first dimension", async () => {
+    const alice = newId();
+    const aggregate = jest.spyOn(Task, "aggregate").mockResolvedValue([
+      {
+        totals: [{ count: 3 }],
+        groups: [],
+        statsGroups: [
+          { owner: { _id: alice, name: "Alice" }, count: 2, totalDays: 3 },
+          { owner: { _id: null, name: "Unassigned" }, count: 1, totalDays: 1 },
+        ],
+      },
+    ]);
+
+    const res = await getClosedTasks("owner,tag");
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.stats).toEqual({ Alice: 2 });
+    const { statsGroups } = aggregate.mock.calls[0][0][1].$facet;
+    expect(statsGroups.filter((stage) => stage.$unwind)).toEqual([
+      { $unwind: { path: "$owners", preserveNullAndEmptyArrays: true } },
+    ]);
+    expect(statsGroups.find((stage) => stage.$group).$group._id).toEqual({
+      owner: "$owners",
+    });
+  });
+
+  test("keeps tasks without a team as unassigned", async () => {
+    jest.spyOn(Task, "aggregate").mockResolvedValue([
+      {
+        totals: [{ count: 3 }],
+        groups: [],
+        statsGroups: [
+          { team: { _id: newId(), name: "Design" }, count: 2, totalDays: 2 },
+          { team: { _id: null, name: "Unassigned" }, count: 1, totalDays: 1 },
+        ],
+      },
+    ]);
+
+    const res = await getClosedTasks("team");
+
+    expect(res.body.data.stats).toEqual({ Design: 2, Unassigned: 1 });
+    expect(res.body.data.totalCompleted).toBe(3);
+  });
+});
\ No newline at end of file
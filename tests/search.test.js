@@ -0,0 +1,93 @@
+const request = require("supertest");
+const app = require("../server.js");
+const User = require("../models/User.js");
+const Task = require("../models/Task.js");
+const { newId, mockQuery, signIn } = require("./helpers.js");
+
+describe("user search", () => {
+  let find;
+
+  beforeEach(() => {
+    find = jest.spyOn(User, "find").mockReturnValue(mockQuery([]));
+  });
+
+  test("looks up single words as prefixes", async () => {
+    const { cookie } = signIn();
+
+    const res = await request(app)
+      .get("/api/users?search=Ali")
+      .set("Cookie", cookie);
+
+    expect(res.status).toBe(200);
+    const [filter] = find.mock.calls[0];
+    expect(filter.$text).toBeUndefined();
+    expect(filter.$or[0].username.source).toBe("^ali");
+    expect(filter.$or[0].username.flags).toBe("");
+    expect(filter.$or[0].username.test("malik")).toBe(false);
+  });
+
+  test("escapes the prefix", async () => {
+    const { cookie } = signIn();
+
+    await request(app).get("/api/users?search=a.(b").set("Cookie", cookie);
+
+    const [filter] = find.mock.calls[0];
+    expect(filter.$or[1].email.test("a.(b@example.com")).toBe(true);
+    expect(filter.$or[1].email.test("axxb@example.com")).toBe(false);
+  });
+
+  test("uses the text index for longer queries", async () => {
+    const { cookie } = signIn();
+
+    await request(app)
+      .get("/api/users?search=alice%20smith")
+      .set("Cookie", cookie);
+
+    const [filter] = find.mock.calls[0];
+    expect(filter.$text).toEqual({ $search: "alice smith" });
+    expect(filter.$or).toBeUndefined();
+  });
+});
+
+describe("search", () => {
+  test("highlights other forms of the searched words", async () => {
+    const { cookie } = signIn({ role: "admin" });
+    jest.spyOn(Task, "aggregate").mockResolvedValue([
+      {
+        _id: newId(),
+        name: "Release notes",
+        description: "Deploying the new release after fixes",
+        score: 1.5,
+      },
+    ]);
+
+    const res = await request(app)
+      .get("/api/search?q=deployed%20fix&type=task")
+      .set("Cookie", cookie);
+
+    expect(res.status).toBe(200);
+    const { highlight } = res.body.data[0];
+    expect(highlight.field).toBe("description");
+    expect(
+      highlight.matches.map(({ start, end }) =>
+        highlight.snippet.slice(start, end)
+      )
+    ).toEqual(["Deploying", "fixes"]);
+  });
+
+  test("highlights phrases as written", async () => {
+    const { cookie } = signIn({ role: "admin" });
+    jest
+      .spyOn(Task, "aggregate")
+      .mockResolvedValue([
+        { _id: newId(), name: "New release, not a release note", score: 1 },
+      ]);
+
+    const res = await request(app)
+      .get(`/api/search?q=${encodeURIComponent('"release note"')}&type=task`)
+      .set("Cookie", cookie);
+
+    const { highlight } = res.body.data[0];
+    expect(highlight.matches).toEqual([{ start: 19, end: 31 }]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,175 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const request = require("supertest");
+const app = require("../server.js");
+const User = require("../models/User.js");
+const Session = require("../models/Session.js");
+const { newId, mockQuery } = require("./helpers.js");
+
+const hash = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+describe("sessions", () => {
+  let user;
+
+  beforeEach(() => {
+    user = new User({
+      username: "alice",
+      name: "Alice",
+      email: "alice@example.com",
+      password: "hashed",
+    });
+  });
+
+  function refreshTokenFor(session) {
+    return jwt.sign(
+      { id: user._id, sid: session._id },
+      process.env.REFRESH_TOKEN_SECRET,
+      { jwtid: crypto.randomUUID() }
+    );
+  }
+
+  function mockSession(fields = {}) {
+    const session = new Session({
+      user: user._id,
+      expiresAt: new Date(Date.now() + 60 * 1000),
+      ...fields,
+    });
+    jest.spyOn(Session, "findById").mockReturnValue(mockQuery(session));
+    jest.spyOn(User, "findById").mockReturnValue(mockQuery(user));
+    jest.spyOn(session, "save").mockResolvedValue(session);
+    return session;
+  }
+
+  describe("POST /api/auth/refresh-token", () => {
+    test("rotates the refresh token", async () => {
+      const session = mockSession();
+      const token = refreshTokenFor(session);
+      session.tokenHash = hash(token);
+
+      const res = await request(app)
+        .post("/api/auth/refresh-token")
+        .set("Cookie", `refresh_token=${token}`);
+
+      expect(res.status).toBe(200);
+      expect(session.previousTokenHash).toBe(hash(token));
+      expect(session.tokenHash).not.toBe(hash(token));
+      expect(res.headers["set-cookie"].join()).toMatch(/refresh_token=ey/);
+    });
+
+    test("revokes the session when an old token is replayed", async () => {
+      const session = mockSession();
+      const token = refreshTokenFor(session);
+      Object.assign(session, {
+        tokenHash: hash("newer token"),
+        previousTokenHash: hash(token),
+        rotatedAt: new Date(Date.now() - 5 * 60 * 1000),
+      });
+
+      const res = await request(app)
+        .post("/api/auth/refresh-token")
+        .set("Cookie", `refresh_token=${token}`);
+
+      expect(res.status).toBe(401);
+      expect(session.revokedReason).toBe("reuse-detected");
+    });
+
+    test("accepts the previous token right after a rotation", async () => {
+      const session = mockSession();
+      const token = refreshTokenFor(session);
+      Object.assign(session, {
+        tokenHash: hash("token of the other tab"),
+        previousTokenHash: hash(token),
+        rotatedAt: new Date(Date.now() - 1000),
+      });
+
+      const res = await request(app)
+        .post("/api/auth/refresh-token")
+        .set("Cookie", `refresh_token=${token}`);
+
+      expect(res.status).toBe(200);
+      expect(session.revokedAt).toBeUndefined();
+    });
+  });
+
+  describe("access tokens", () => {
+    const accessToken = (payload) =>
+      jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: "15m" });
+
+    test("end with their session", async () => {
+      const session = mockSession({ revokedAt: new Date() });
+
+      const res = await request(app)
+        .get("/api/auth/user")
+        .set(
+          "Cookie",
+          `access_token=${accessToken({ id: user._id, sid: session._id })}`
+        );
+
+      expect(res.status).toBe(403);
+      expect(res.body.message).toBe(
+        "Your session has ended, please sign in again"
+      );
+    });
+
+    test("issued before sessions existed stay valid until they expire", async () => {
+      jest.spyOn(User, "findById").mockReturnValue(mockQuery(user));
+
+      const res = await request(app)
+        .get("/api/auth/user")
+        .set("Cookie", `access_token=${accessToken({ id: user._id })}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.username).toBe("alice");
+    });
+
+    test("issued before sessions existed end with a password change", async () => {
+      user.passwordChangedAt = new Date(Date.now() + 1000);
+      jest.spyOn(User, "findById").mockReturnValue(mockQuery(user));
+
+      const res = await request(app)
+        .get("/api/auth/user")
+        .set("Cookie", `access_token=${accessToken({ id: user._id })}`);
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  test("lists the sessions of the current user", async () => {
+    const session = mockSession();
+    const find = jest
+      .spyOn(Session, "find")
+      .mockReturnValue(mockQuery([session]));
+
+    const res = await request(app)
+      .get("/api/auth/sessions")
+      .set(
+        "Cookie",
+        `access_token=${jwt.sign(
+          { id: user._id, sid: session._id },
+          process.env.JWT_SECRET
+        )}`
+      );
+
+    expect(res.status).toBe(200);
+    expect(find.mock.calls[0][0]).toMatchObject({ user: user._id.toString() });
+    expect(res.body.data[0].current).toBe(true);
+  });
+
+  test("answers 404 for invalid session IDs", async () => {
+    const session = mockSession();
+    const findOne = jest.spyOn(Session, "findOne");
+
+    const res = await request(app)
+      .delete("/api/auth/sessions/not-an-id")
+      .set(
+        "Cookie",
+        `access_token=${jwt.sign(
+          { id: user._id, sid: session._id },
+          process.env.JWT_SECRET
+        )}`
+      );
+
+    expect(res.status).toBe(404);
+    expect(findOne).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,10 @@
+// Environment of the test run, set before the app is loaded
+const mongoose = require("mongoose");
+
+process.env.JWT_SECRET = "test-access-secret";
+process.env.REFRESH_TOKEN_SECRET = "test-refresh-secret";
+process.env.MAIL_TRANSPORT = "console";
+
+// Tests never connect to a database, so a query that wasn't mocked fails
+// right away instead of waiting for a connection
+mongoose.set("bufferCommands", false);
\ No newline at end of file
@@ -0,0 +1,183 @@
+const request = require("supertest");
+const app = require("../server.js");
+const Task = require("../models/Task.js");
+const TimeLog = require("../models/TimeLog.js");
+const {
+  newId,
+  mockQuery,
+  taskDoc,
+  signIn,
+  mockActivity,
+  mockWorkflow,
+} = require("./helpers.js");
+
+describe("subtasks and checklists", () => {
+  const teamId = newId();
+  let task;
+
+  beforeEach(() => {
+    task = taskDoc({
+      team: teamId,
+      checklist: [
+        { text: "Outline", done: true },
+        { text: "Draft", done: false },
+      ],
+    });
+    jest.spyOn(task, "save").mockResolvedValue(task);
+    jest.spyOn(task, "populate").mockResolvedValue(task);
+    mockActivity();
+    mockWorkflow();
+  });
+
+  test("tasks show their subtasks with rolled-up progress", async () => {
+    const { cookie } = signIn({ teams: [teamId] });
+    jest.spyOn(Task, "findById").mockReturnValue(mockQuery(task));
+    jest
+      .spyOn(Task, "find")
+      .mockReturnValueOnce(mockQuery([]))
+      .mockReturnValueOnce(
+        mockQuery([
+          { name: "Intro", timeToComplete: 2, completedAt: new Date() },
+          { name: "Examples", timeToComplete: 1 },
+        ])
+      );
+    jest.spyOn(TimeLog, "aggregate").mockResolvedValue([]);
+
+    const res = await request(app)
+      .get(`/api/tasks/${task._id}`)
+      .set("Cookie", cookie);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.children).toHaveLength(2);
+    expect(res.body.data.rollup).toEqual({
+      subtasks: {
+        total: 2,
+        completed: 1,
+        estimate: 3,
+        completedEstimate: 2,
+        percentComplete: 66.7,
+      },
+      checklist: { total: 2, done: 1, percentComplete: 50 },
+    });
+  });
+
+  describe("parents", () => {
+    beforeEach(() => {
+      jest.spyOn(Task, "findById").mockReturnValue(mockQuery(task));
+    });
+
+    test("stay open while subtasks are open", async () => {
+      const { cookie } = signIn({ teams: [teamId] });
+      jest
+        .spyOn(Task, "countDocuments")
+        .mockReturnValueOnce(mockQuery(0))
+        .mockReturnValueOnce(mockQuery(2));
+
+      const res = await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set("Cookie", cookie)
+        .send({ status: "Completed" });
+
+      expect(res.status).toBe(409);
+      expect(res.body.openChildren).toBe(2);
+      expect(task.save).not.toHaveBeenCalled();
+    });
+
+    test("can be completed anyway when forced", async () => {
+      const { cookie } = signIn({ teams: [teamId] });
+      jest.spyOn(Task, "countDocuments").mockReturnValue(mockQuery(2));
+      jest.spyOn(Task, "find").mockReturnValue(mockQuery([]));
+
+      const res = await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set("Cookie", cookie)
+        .send({ status: "Completed", force: true });
+
+      expect(res.status).toBe(200);
+      expect(task.save).toHaveBeenCalled();
+    });
+
+    test("must be in the same project", async () => {
+      const { cookie } = signIn({ teams: [teamId] });
+      const parent = taskDoc({ team: teamId });
+      Task.findById
+        .mockReturnValueOnce(mockQuery(task))
+        .mockReturnValueOnce(mockQuery(parent));
+
+      const res = await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set("Cookie", cookie)
+        .send({ parent: parent._id.toString() });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe(
+        "Parent task must belong to the same project"
+      );
+    });
+
+    test("can't be one of the task's own subtasks", async () => {
+      const { cookie } = signIn({ teams: [teamId] });
+      const child = taskDoc({
+        team: teamId,
+        project: task.project,
+        parent: task._id,
+      });
+      Task.findById
+        .mockReturnValueOnce(mockQuery(task))
+        .mockReturnValueOnce(mockQuery(child))
+        .mockReturnValueOnce(mockQuery(task));
+
+      const res = await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set("Cookie", cookie)
+        .send({ parent: child._id.toString() });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe(
+        "A task cannot be nested under itself or one of its subtasks"
+      );
+    });
+  });
+
+  test("checklist items record when they were done", async () => {
+    const { cookie } = signIn({ teams: [teamId] });
+    jest.spyOn(Task, "findById").mockReturnValue(mockQuery(task));
+    const item = task.checklist[1];
+
+    const res = await request(app)
+      .patch(`/api/tasks/${task._id}/checklist/${item._id}`)
+      .set("Cookie", cookie)
+      .send({ done: true });
+
+    expect(res.status).toBe(200);
+    expect(item.done).toBe(true);
+    expect(item.doneAt).toBeInstanceOf(Date);
+  });
+
+  test("checklist changes are recorded in the activity history", async () => {
+    const { cookie } = signIn({ teams: [teamId] });
+    jest.spyOn(Task, "findById").mockReturnValue(mockQuery(task));
+    const record = mockActivity();
+
+    const res = await request(app)
+      .delete(`/api/tasks/${task._id}/checklist/${task.checklist[0]._id}`)
+      .set("Cookie", cookie);
+
+    expect(res.status).toBe(200);
+    expect(record).toHaveBeenCalledWith(
+      expect.objectContaining({
+        entity: task._id,
+        changes: [
+          {
+            field: "checklist",
+            from: [
+              { text: "Outline", done: true },
+              { text: "Draft", done: false },
+            ],
+            to: [{ text: "Draft", done: false }],
+          },
+        ],
+      })
+    );
+  });
+});
\ No newline at end of file
@@ -0,0 +1,76 @@
+const request = require("supertest");
+const app = require("../server.js");
+const Tag = require("../models/Tag.js");
+const Task = require("../models/Task.js");
+const { mockQuery, signIn } = require("./helpers.js");
+
+describe("tags", () => {
+  let tag;
+
+  beforeEach(() => {
+    tag = new Tag({ name: "bug", color: "#ef4444" });
+  });
+
+  test("can only be created by admins", async () => {
+    const { cookie } = signIn();
+
+    const res = await request(app)
+      .post("/api/tags")
+      .set("Cookie", cookie)
+      .send({ name: "bug" });
+
+    expect(res.status).toBe(403);
+  });
+
+  test("are unique by name", async () => {
+    const { cookie } = signIn({ role: "admin" });
+    jest.spyOn(Tag, "findOne").mockReturnValue(mockQuery(tag));
+    const create = jest.spyOn(Tag, "create");
+
+    const res = await request(app)
+      .post("/api/tags")
+      .set("Cookie", cookie)
+      .send({ name: "Bug" });
+
+    expect(res.status).toBe(409);
+    expect(Tag.findOne.mock.calls[0][0].name).toBe("bug");
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  test("answer 404 for invalid tag IDs", async () => {
+    const { cookie } = signIn({ role: "admin" });
+
+    const res = await request(app)
+      .put("/api/tags/not-an-id")
+      .set("Cookie", cookie)
+      .send({ color: "#000" });
+
+    expect(res.status).toBe(404);
+  });
+
+  test("in use are only deleted when cascading", async () => {
+    const { cookie } = signIn({ role: "admin" });
+    jest.spyOn(Tag, "findById").mockReturnValue(mockQuery(tag));
+    jest.spyOn(Task, "countDocuments").mockReturnValue(mockQuery(4));
+    const remove = jest.spyOn(Tag, "deleteOne");
+
+    const res = await request(app)
+      .delete(`/api/tags/${tag._id}`)
+      .set("Cookie", cookie);
+
+    expect(res.status).toBe(409);
+    expect(res.body.taskCount).toBe(4);
+    expect(remove).not.toHaveBeenCalled();
+  });
+
+  test("can't be merged into themselves", async () => {
+    const { cookie } = signIn({ role: "admin" });
+
+    const res = await request(app)
+      .post(`/api/tags/${tag._id}/merge`)
+      .set("Cookie", cookie)
+      .send({ into: tag._id.toString() });
+
+    expect(res.status).toBe(400);
+  });
+});
\ No newline at end of file
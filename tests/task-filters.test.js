@@ -0,0 +1,120 @@
+const request = require("supertest");
+const app = require("../server.js");
+const Task = require("../models/Task.js");
+const Comment = require("../models/Comment.js");
+const TimeLog = require("../models/TimeLog.js");
+const { newId, mockQuery, signIn } = require("./helpers.js");
+
+describe("task list filters", () => {
+  let find;
+
+  beforeEach(() => {
+    find = jest.spyOn(Task, "find").mockReturnValue(mockQuery([]));
+    jest.spyOn(Task, "countDocuments").mockResolvedValue(0);
+    jest.spyOn(Comment, "aggregate").mockResolvedValue([]);
+    jest.spyOn(TimeLog, "aggregate").mockResolvedValue([]);
+  });
+
+  // List tasks as an admin, returning the response and the query filter
+  async function listTasks(query, user = signIn({ role: "admin" })) {
+    const res = await request(app)
+      .get("/api/tasks")
+      .query(query)
+      .set("Cookie", user.cookie);
+
+    return { res, filter: find.mock.calls[0] && find.mock.calls[0][0] };
+  }
+
+  test("match any of several values and exclude values", async () => {
+    const { res, filter } = await listTasks({
+      status: "To Do,Blocked",
+      priority: "!low",
+    });
+
+    expect(res.status).toBe(200);
+    expect(filter.status).toEqual({ $in: ["To Do", "Blocked"] });
+    expect(filter.priority).toEqual({ $nin: ["low"] });
+  });
+
+  test("resolve me to the current user", async () => {
+    const user = signIn({ role: "admin" });
+    const other = newId();
+
+    const { filter } = await listTasks(
+      { owner: `me,!${other}`, createdBy: "me" },
+      user
+    );
+
+    expect(filter.owners).toEqual({ $in: [user.user._id], $nin: [other] });
+    expect(filter.createdBy).toEqual({ $in: [user.user._id] });
+  });
+
+  test("match all tags when asked to", async () => {
+    const tags = [newId(), newId()];
+
+    const { filter } = await listTasks({
+      tags: tags.join(","),
+      tagMatch: "all",
+    });
+
+    expect(filter.tags).toEqual({ $all: tags });
+  });
+
+  test("filter on date ranges covering whole days", async () => {
+    const { filter } = await listTasks({
+      dueDateFrom: "2024-01-01",
+      dueDateTo: "2024-01-31",
+    });
+
+    expect(filter.dueDate.$gte).toEqual(new Date(2024, 0, 1));
+    expect(filter.dueDate.$lte).toEqual(new Date(2024, 0, 31, 23, 59, 59, 999));
+  });
+
+  test("filter overdue and unassigned tasks", async () => {
+    const { filter } = await listTasks({ overdue: "true", unassigned: "true" });
+
+    expect(filter.$and).toEqual([
+      { dueDate: { $lt: expect.any(Date) }, completedAt: null },
+      { owners: { $size: 0 } },
+    ]);
+  });
+
+  test("keep members to their own teams", async () => {
+    const teamId = newId();
+
+    const { filter } = await listTasks({}, signIn({ teams: [teamId] }));
+
+    expect(filter.team).toEqual({ $in: [teamId] });
+  });
+
+  test("refuse teams the user isn't a member of", async () => {
+    const { res } = await listTasks(
+      { team: newId().toString() },
+      signIn({ teams: [newId()] })
+    );
+
+    expect(res.status).toBe(403);
+  });
+
+  test.each([
+    [{ owner: "alice" }, 'Invalid ID in "owner" filter'],
+    [{ dueDateFrom: "yesterday" }, '"dueDateFrom" must be an ISO 8601 date'],
+    [{ overdue: "maybe" }, '"overdue" must be true or false'],
+    [{ tagMatch: "some" }, '"tagMatch" must be any or all'],
+    [{ sort: "-password" }, expect.stringMatching(/^Sort must use/)],
+  ])("reject invalid parameters %p", async (query, message) => {
+    const { res } = await listTasks(query);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toEqual(message);
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  test("cap the page size", async () => {
+    Task.countDocuments.mockResolvedValue(1000);
+
+    const { res } = await listTasks({ limit: "500" });
+
+    expect(res.body.totalPages).toBe(10);
+  });
+});
\ No newline at end of file
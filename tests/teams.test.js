@@ -0,0 +1,130 @@
+const request = require("supertest");
+const app = require("../server.js");
+const Team = require("../models/Team.js");
+const Task = require("../models/Task.js");
+const Project = require("../models/Project.js");
+const {
+  newId,
+  mockQuery,
+  taskDoc,
+  signIn,
+  mockActivity,
+} = require("./helpers.js");
+
+describe("teams", () => {
+  let team;
+
+  beforeEach(() => {
+    team = new Team({ name: "Platform", members: [newId()], leads: [] });
+    jest.spyOn(team, "save").mockResolvedValue(team);
+    mockActivity();
+  });
+
+  test("answers 404 for invalid team IDs", async () => {
+    const { cookie } = signIn({ role: "admin" });
+
+    const res = await request(app)
+      .get("/api/teams/not-an-id")
+      .set("Cookie", cookie);
+
+    expect(res.status).toBe(404);
+  });
+
+  test("can only be updated by admins and leads", async () => {
+    const { cookie } = signIn({ teams: [team._id] });
+    jest.spyOn(Team, "findById").mockReturnValue(mockQuery(team));
+
+    const res = await request(app)
+      .put(`/api/teams/${team._id}`)
+      .set("Cookie", cookie)
+      .send({ name: "Renamed" });
+
+    expect(res.status).toBe(403);
+  });
+
+  describe("DELETE /api/teams/:id", () => {
+    let project;
+
+    beforeEach(() => {
+      project = new Project({ name: "Website", team: team._id });
+      jest.spyOn(project, "save").mockResolvedValue(project);
+      jest.spyOn(Team, "findById").mockReturnValue(mockQuery(team));
+      jest.spyOn(Project, "find").mockReturnValue(mockQuery([project]));
+    });
+
+    test("needs a team to take over open tasks", async () => {
+      const { cookie } = signIn({ role: "admin" });
+      jest.spyOn(Task, "countDocuments").mockReturnValue(mockQuery(2));
+
+      const res = await request(app)
+        .delete(`/api/teams/${team._id}`)
+        .set("Cookie", cookie);
+
+      expect(res.status).toBe(409);
+      expect(res.body.openTasks).toBe(2);
+      expect(team.isActive).toBe(true);
+    });
+
+    test("moves open tasks and projects to the new team", async () => {
+      const { cookie } = signIn({ role: "admin" });
+      const target = new Team({ name: "Web" });
+      jest.spyOn(Task, "countDocuments").mockReturnValue(mockQuery(2));
+      jest.spyOn(Team, "findOne").mockReturnValue(mockQuery(target));
+      const tasks = [
+        taskDoc({ team: team._id, project: project._id }),
+        taskDoc({ team: team._id, project: project._id }),
+      ];
+      jest.spyOn(Task, "find").mockReturnValue(mockQuery(tasks));
+      const updateTasks = jest
+        .spyOn(Task, "updateMany")
+        .mockReturnValue(mockQuery({}));
+
+      const res = await request(app)
+        .delete(`/api/teams/${team._id}`)
+        .set("Cookie", cookie)
+        .send({ reassignTo: target._id.toString() });
+
+      expect(res.status).toBe(200);
+      expect(res.body.reassignedProjects).toBe(1);
+      expect(project.team).toEqual(target._id);
+      expect(updateTasks.mock.calls[0][1]).toEqual({ team: target._id });
+      expect(team.isActive).toBe(false);
+      expect(res.body.reassignedTasks).toBe(2);
+    });
+
+    test("moves the closed tasks of moved projects too", async () => {
+      const { cookie } = signIn({ role: "admin" });
+      const target = new Team({ name: "Web" });
+      jest.spyOn(Task, "countDocuments").mockReturnValue(mockQuery(0));
+      jest.spyOn(Team, "findOne").mockReturnValue(mockQuery(target));
+      jest.spyOn(Task, "find").mockReturnValue(mockQuery([]));
+      const updateTasks = jest
+        .spyOn(Task, "updateMany")
+        .mockReturnValue(mockQuery({}));
+
+      const res = await request(app)
+        .delete(`/api/teams/${team._id}`)
+        .set("Cookie", cookie)
+        .send({ reassignTo: target._id.toString() });
+
+      expect(res.status).toBe(200);
+      expect(updateTasks.mock.calls[0][0].$or).toContainEqual({
+        project: { $in: [project._id] },
+      });
+    });
+
+    test("closes the projects of a team without open tasks", async () => {
+      const { cookie } = signIn({ role: "admin" });
+      jest.spyOn(Task, "countDocuments").mockReturnValue(mockQuery(0));
+
+      const res = await request(app)
+        .delete(`/api/teams/${team._id}`)
+        .set("Cookie", cookie);
+
+      expect(res.status).toBe(200);
+      expect(res.body.closedProjects).toBe(1);
+      expect(project.status).toBe("completed");
+      expect(project.team).toEqual(team._id);
+    });
+  });
+});
\ No newline at end of file
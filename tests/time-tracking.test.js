@@ -0,0 +1,120 @@
+const request = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../server.js");
+const Task = require("../models/Task.js");
+const TimeLog = require("../models/TimeLog.js");
+const { newId, mockQuery, fromDb, taskDoc, signIn } = require("./helpers.js");
+
+describe("time tracking", () => {
+  const teamId = newId();
+  let task;
+
+  beforeEach(() => {
+    task = taskDoc({ team: teamId });
+    jest.spyOn(Task, "findById").mockReturnValue(mockQuery(task));
+  });
+
+  test("validates logged time", async () => {
+    const { cookie } = signIn({ teams: [teamId] });
+
+    const res = await request(app)
+      .post(`/api/tasks/${task._id}/time-logs`)
+      .set("Cookie", cookie)
+      .send({ duration: 0 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].msg).toBe(
+      "Duration must be between 1 and 1440 minutes"
+    );
+  });
+
+  test("answers invalid timers with 400", async () => {
+    const { cookie } = signIn({ teams: [teamId] });
+    jest.spyOn(TimeLog, "findOne").mockReturnValue(mockQuery(null));
+
+    const res = await request(app)
+      .post(`/api/tasks/${task._id}/timer/start`)
+      .set("Cookie", cookie)
+      .send({ note: "x".repeat(501) });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch("Note cannot exceed 500 characters");
+  });
+
+  test("answers invalid time log edits with 400", async () => {
+    const { user, cookie } = signIn({ teams: [teamId] });
+    const timeLog = fromDb(TimeLog, {
+      task: task._id,
+      user: user._id,
+      duration: 30,
+      date: new Date(),
+    });
+    jest.spyOn(TimeLog, "findOne").mockReturnValue(mockQuery(timeLog));
+    jest
+      .spyOn(timeLog, "save")
+      .mockRejectedValue(new mongoose.Error.ValidationError(timeLog));
+
+    const res = await request(app)
+      .put(`/api/tasks/${task._id}/time-logs/${timeLog._id}`)
+      .set("Cookie", cookie)
+      .send({ duration: 45 });
+
+    expect(res.status).toBe(400);
+  });
+
+  test("only lets authors change their time logs", async () => {
+    const { cookie } = signIn({ teams: [teamId] });
+    const timeLog = fromDb(TimeLog, {
+      task: task._id,
+      user: newId(),
+      duration: 30,
+      date: new Date(),
+    });
+    jest.spyOn(TimeLog, "findOne").mockReturnValue(mockQuery(timeLog));
+    jest.spyOn(timeLog, "save");
+
+    const res = await request(app)
+      .put(`/api/tasks/${task._id}/time-logs/${timeLog._id}`)
+      .set("Cookie", cookie)
+      .send({ duration: 45 });
+
+    expect(res.status).toBe(403);
+    expect(timeLog.save).not.toHaveBeenCalled();
+  });
+
+  test("lets users stop their timer after losing access to the task", async () => {
+    const { user, cookie } = signIn({ teams: [] });
+    const startedAt = new Date(Date.now() - 30 * 60 * 1000);
+    const timer = fromDb(TimeLog, {
+      task: task._id,
+      user: user._id,
+      date: startedAt,
+      startedAt,
+    });
+    const findOne = jest
+      .spyOn(TimeLog, "findOne")
+      .mockReturnValue(mockQuery(timer));
+    jest.spyOn(timer, "save").mockResolvedValue(timer);
+
+    const res = await request(app)
+      .post(`/api/tasks/${task._id}/timer/stop`)
+      .set("Cookie", cookie);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.duration).toBe(30);
+    expect(findOne).toHaveBeenCalledWith(
+      expect.objectContaining({ user: user._id.toString() })
+    );
+  });
+
+  test("report when no timer is running", async () => {
+    const { cookie } = signIn({ teams: [teamId] });
+    jest.spyOn(TimeLog, "findOne").mockReturnValue(mockQuery(null));
+
+    const res = await request(app)
+      .post(`/api/tasks/${task._id}/timer/stop`)
+      .set("Cookie", cookie);
+
+    expect(res.status).toBe(404);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,160 @@
+const request = require("supertest");
+const moment = require("moment-timezone");
+const app = require("../server.js");
+const View = require("../models/View.js");
+const Task = require("../models/Task.js");
+const Comment = require("../models/Comment.js");
+const TimeLog = require("../models/TimeLog.js");
+const { newId, mockQuery, fromDb, signIn } = require("./helpers.js");
+
+describe("saved views", () => {
+  const teamId = newId();
+
+  // View of another user, shared with the team unless told otherwise
+  function mockView(fields = {}) {
+    const view = fromDb(View, {
+      name: "My open work",
+      owner: newId(),
+      team: teamId,
+      ...fields,
+    });
+    jest.spyOn(view, "save").mockResolvedValue(view);
+    jest.spyOn(view, "populate").mockResolvedValue(view);
+    jest.spyOn(View, "findById").mockReturnValue(mockQuery(view));
+    return view;
+  }
+
+  test("only save the filters of the task list", async () => {
+    const { cookie } = signIn({ teams: [teamId] });
+    const create = jest.spyOn(View, "create");
+
+    const res = await request(app)
+      .post("/api/views")
+      .set("Cookie", cookie)
+      .send({ name: "Mine", filters: { owner: "me", $where: "1" } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/^Filters can only use/);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  test("check the sort", async () => {
+    const { cookie } = signIn({ teams: [teamId] });
+
+    const res = await request(app)
+      .post("/api/views")
+      .set("Cookie", cookie)
+      .send({ name: "Mine", sort: "-password" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/^Sort must use these fields/);
+  });
+
+  test("can only be shared with the user's teams", async () => {
+    const { cookie } = signIn({ teams: [teamId] });
+    jest.spyOn(View, "create");
+
+    const res = await request(app)
+      .post("/api/views")
+      .set("Cookie", cookie)
+      .send({ name: "Mine", team: newId() });
+
+    expect(res.status).toBe(403);
+    expect(View.create).not.toHaveBeenCalled();
+  });
+
+  test("are created for the current user", async () => {
+    const { user, cookie } = signIn({ teams: [teamId] });
+    const create = jest
+      .spyOn(View, "create")
+      .mockImplementation(async (fields) => fields);
+
+    const res = await request(app)
+      .post("/api/views")
+      .set("Cookie", cookie)
+      .send({
+        name: "Mine",
+        team: teamId,
+        filters: { owner: "me", status: ["To Do", "In Progress"] },
+        owner: newId(),
+      });
+
+    expect(res.status).toBe(201);
+    expect(create).toHaveBeenCalledWith(
+      expect.objectContaining({ owner: user._id.toString() })
+    );
+  });
+
+  test("are visible to the team they are shared with", async () => {
+    const { cookie } = signIn({ teams: [teamId] });
+    mockView();
+
+    const res = await request(app)
+      .get(`/api/views/${newId()}`)
+      .set("Cookie", cookie);
+
+    expect(res.status).toBe(200);
+  });
+
+  test("are hidden from other teams", async () => {
+    const { cookie } = signIn({ teams: [newId()] });
+    mockView();
+
+    const res = await request(app)
+      .get(`/api/views/${newId()}`)
+      .set("Cookie", cookie);
+
+    expect(res.status).toBe(403);
+  });
+
+  test("can only be changed by their owner", async () => {
+    const { cookie } = signIn({ teams: [teamId] });
+    const view = mockView();
+
+    const res = await request(app)
+      .put(`/api/views/${view._id}`)
+      .set("Cookie", cookie)
+      .send({ name: "Renamed" });
+
+    expect(res.status).toBe(403);
+    expect(view.save).not.toHaveBeenCalled();
+  });
+
+  test("stop being shared when the team is cleared", async () => {
+    const { user, cookie } = signIn({ teams: [teamId] });
+    const view = mockView({ owner: user._id });
+
+    const res = await request(app)
+      .put(`/api/views/${view._id}`)
+      .set("Cookie", cookie)
+      .send({ team: null });
+
+    expect(res.status).toBe(200);
+    expect(view.team).toBeUndefined();
+    expect(view.save).toHaveBeenCalled();
+  });
+
+  test("run with relative tokens resolved for the current user", async () => {
+    const { user, cookie } = signIn({ teams: [teamId] });
+    mockView({
+      filters: { owner: "me", dueDateTo: "today+7" },
+      sort: "dueDate",
+    });
+    const find = jest.spyOn(Task, "find").mockReturnValue(mockQuery([]));
+    jest.spyOn(Task, "countDocuments").mockResolvedValue(0);
+    jest.spyOn(Comment, "aggregate").mockResolvedValue([]);
+    jest.spyOn(TimeLog, "aggregate").mockResolvedValue([]);
+
+    const res = await request(app)
+      .get(`/api/views/${newId()}/tasks?limit=5`)
+      .set("Cookie", cookie);
+
+    expect(res.status).toBe(200);
+    expect(res.body.totalPages).toBe(0);
+    const [filter] = find.mock.calls[0];
+    expect(filter.owners.$in).toEqual([user._id]);
+    expect(filter.dueDate.$lte).toEqual(
+      moment().startOf("day").add(7, "days").endOf("day").toDate()
+    );
+  });
+});
\ No newline at end of file
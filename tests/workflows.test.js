@@ -0,0 +1,139 @@
+const request = require("supertest");
+const app = require("../server.js");
+const Task = require("../models/Task.js");
+const Team = require("../models/Team.js");
+const Project = require("../models/Project.js");
+const {
+  newId,
+  mockQuery,
+  fromDb,
+  taskDoc,
+  signIn,
+  mockActivity,
+  mockWorkflow,
+} = require("./helpers.js");
+
+describe("project workflows", () => {
+  const teamId = newId();
+  const workflow = {
+    statuses: ["Backlog", "Doing", "Review", "Done"],
+    transitions: [
+      { from: "Backlog", to: "Doing" },
+      { from: "Doing", to: "Review" },
+      { from: "Review", to: "Done" },
+    ],
+    doneStatuses: ["Done"],
+  };
+  let project;
+  let record;
+
+  beforeEach(() => {
+    project = fromDb(Project, { name: "Website", team: teamId });
+    jest.spyOn(project, "save").mockResolvedValue(project);
+    jest.spyOn(Project, "findById").mockReturnValue(mockQuery(project));
+    record = mockActivity();
+  });
+
+  // Sign in as a member of the project's team, optionally one of its leads
+  function signInToTeam({ lead = false } = {}) {
+    const signedIn = signIn({ teams: [teamId] });
+    jest
+      .spyOn(Team, "findById")
+      .mockReturnValue(mockQuery({ leads: lead ? [signedIn.user._id] : [] }));
+    return signedIn;
+  }
+
+  test("can only be replaced by admins and team leads", async () => {
+    const { cookie } = signInToTeam();
+
+    const res = await request(app)
+      .put(`/api/projects/${project._id}/workflow`)
+      .set("Cookie", cookie)
+      .send(workflow);
+
+    expect(res.status).toBe(403);
+    expect(project.save).not.toHaveBeenCalled();
+  });
+
+  test("are validated", async () => {
+    const { cookie } = signInToTeam({ lead: true });
+
+    const res = await request(app)
+      .put(`/api/projects/${project._id}/workflow`)
+      .set("Cookie", cookie)
+      .send({ ...workflow, doneStatuses: ["Backlog"] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("The first status can't be a done status");
+  });
+
+  test("need removed statuses in use to be mapped", async () => {
+    const { cookie } = signInToTeam({ lead: true });
+    jest.spyOn(Task, "distinct").mockResolvedValue(["To Do", "Doing"]);
+
+    const res = await request(app)
+      .put(`/api/projects/${project._id}/workflow`)
+      .set("Cookie", cookie)
+      .send(workflow);
+
+    expect(res.status).toBe(409);
+    expect(res.body.statuses).toEqual(["To Do"]);
+  });
+
+  test("move tasks to mapped statuses one by one", async () => {
+    const { cookie } = signInToTeam({ lead: true });
+    const completedAt = new Date("2024-03-01");
+    const updatedAt = new Date("2024-03-05");
+    const mapped = taskDoc({ project: project._id, status: "Completed" });
+    mapped.completedAt = completedAt;
+    const nowDone = taskDoc({ project: project._id, status: "Done" });
+    nowDone.updatedAt = updatedAt;
+    const reopened = taskDoc({ project: project._id, status: "Doing" });
+    reopened.completedAt = completedAt;
+    const tasks = [mapped, nowDone, reopened];
+    tasks.forEach((task) => jest.spyOn(task, "save").mockResolvedValue(task));
+    jest.spyOn(Task, "distinct").mockResolvedValue(["Completed", "Doing"]);
+    jest
+      .spyOn(Task, "find")
+      .mockReturnValueOnce(mockQuery(tasks))
+      .mockReturnValue(mockQuery([]));
+    const updateMany = jest.spyOn(Task, "updateMany");
+
+    const res = await request(app)
+      .put(`/api/projects/${project._id}/workflow`)
+      .set("Cookie", cookie)
+      .send({ ...workflow, statusMap: { Completed: "Done" } });
+
+    expect(res.status).toBe(200);
+    expect(updateMany).not.toHaveBeenCalled();
+    expect(mapped.status).toBe("Done");
+    expect(mapped.completedAt).toEqual(completedAt);
+    expect(nowDone.completedAt).toEqual(updatedAt);
+    expect(reopened.completedAt).toBeUndefined();
+    tasks.forEach((task) => expect(task.save).toHaveBeenCalled());
+    expect(record).toHaveBeenCalledWith(
+      expect.objectContaining({
+        entity: mapped._id,
+        action: "status_changed",
+      })
+    );
+  });
+
+  test("limit status changes to their transitions", async () => {
+    const { cookie } = signIn({ teams: [teamId] });
+    const task = taskDoc({ team: teamId, status: "Backlog" });
+    jest.spyOn(Task, "findById").mockReturnValue(mockQuery(task));
+    mockWorkflow({
+      ...workflow,
+      statuses: workflow.statuses.map((name) => ({ name })),
+    });
+
+    const res = await request(app)
+      .put(`/api/tasks/${task._id}`)
+      .set("Cookie", cookie)
+      .send({ status: "Done" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Cannot move task from "Backlog" to "Done"');
+  });
+});
\ No newline at end of file